@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const log = require('./logger')
 
 const connectDB = async () => {
   try {
@@ -9,9 +10,9 @@ const connectDB = async () => {
       useCreateIndex: true
     })
 
-    console.log(`MongoDB Connected: ${conn.connection.host}`)
+    log.info('MongoDB Connected', { host: conn.connection.host })
   } catch (err) {
-    console.error(err)
+    log.error('MongoDB connection failed', { err })
     process.exit(1)
   }
 }
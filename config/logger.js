@@ -0,0 +1,36 @@
+// STRUCTURED LOGGER
+// =================
+// Writes one JSON object per line so logs can be searched and shipped as-is
+// Usage: log.info('Todo created', { todoId, userId })
+// The minimum level comes from LOG_LEVEL in config/.env (default: info)
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+const threshold = () => LEVELS[process.env.LOG_LEVEL] || LEVELS.info
+
+// Errors don't serialize with JSON.stringify, so pull out the useful parts
+const serialize = (meta) => {
+  const out = {}
+  for (const [key, value] of Object.entries(meta)) {
+    out[key] = value instanceof Error
+      ? { name: value.name, message: value.message, stack: value.stack }
+      : value
+  }
+  return out
+}
+
+const write = (level, msg, meta = {}) => {
+  if (LEVELS[level] < threshold()) return
+  const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...serialize(meta) })
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line + '\n')
+  else process.stdout.write(line + '\n')
+}
+
+module.exports = {
+  debug: (msg, meta) => write('debug', msg, meta),
+  info: (msg, meta) => write('info', msg, meta),
+  warn: (msg, meta) => write('warn', msg, meta),
+  error: (msg, meta) => write('error', msg, meta),
+  // Stream for morgan so HTTP access logs go through the same logger
+  stream: { write: (line) => write('info', line.trim(), { type: 'http' }) }
+}
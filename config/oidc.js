@@ -0,0 +1,96 @@
+// OPENID CONNECT SIGN-IN PROVIDERS
+// ================================
+// "Sign in with ..." buttons for any OpenID Connect provider, configured in config/.env:
+//
+//   OIDC_PROVIDERS=google,mock                    names, in button order
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...
+//   OIDC_GOOGLE_LABEL=Google                      button text (optional, defaults to the name)
+//   OIDC_GOOGLE_SCOPE=openid email profile        (optional, this is the default)
+//
+// The provider's endpoints are read from its discovery document the first time
+// someone uses it, so a provider that is down doesn't stop the app from starting
+// Each provider's redirect URI is <APP_URL>/auth/<name>/callback
+// `npm run mock-idp` starts a local provider for trying this out (see README)
+
+const { Issuer, Strategy } = require('openid-client')
+const log = require('./logger')
+
+const DEFAULT_SCOPE = 'openid email profile'
+
+// Provider names become URL segments and env var names: keep them simple
+const NAME_PATTERN = /^[a-z0-9-]+$/
+
+const readProviders = () => (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean)
+  .flatMap(name => {
+    const env = (key) => process.env[`OIDC_${name.toUpperCase().replace(/-/g, '_')}_${key}`]
+    if (!NAME_PATTERN.test(name) || !env('ISSUER') || !env('CLIENT_ID')) {
+      log.warn('Skipping sign-in provider with incomplete settings', { provider: name })
+      return []
+    }
+    return [{
+      name,
+      label: env('LABEL') || name,
+      issuer: env('ISSUER'),
+      clientId: env('CLIENT_ID'),
+      clientSecret: env('CLIENT_SECRET'),
+      scope: env('SCOPE') || DEFAULT_SCOPE
+    }]
+  })
+
+let providers = []
+let verifyIdentity = null
+const strategies = new Map() // provider name -> Promise of the registered strategy name
+
+// Read the providers from the environment and remember how to turn a provider
+// identity into a user (see config/passport.js). Call once at startup
+const configure = (verify) => {
+  providers = readProviders()
+  verifyIdentity = verify
+  strategies.clear()
+}
+
+// The configured providers as [{ name, label }] for login and account pages
+const list = () => providers.map(({ name, label }) => ({ name, label }))
+
+const find = (name) => providers.find(p => p.name === name) || null
+
+// Discover the provider and register its Passport strategy on first use
+// Resolves with the strategy name; a failed discovery is retried on the next call
+const strategyFor = (passport, name) => {
+  const provider = find(name)
+  if (!provider) return Promise.resolve(null)
+  if (!strategies.has(name)) {
+    const loading = Issuer.discover(provider.issuer).then(issuer => {
+      const client = new issuer.Client({
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        token_endpoint_auth_method: provider.clientSecret ? 'client_secret_basic' : 'none',
+        response_types: ['code']
+      })
+      const strategyName = `oidc-${name}`
+      passport.use(strategyName, new Strategy({
+        client,
+        params: { scope: provider.scope },
+        passReqToCallback: true,
+        sessionKey: `oidc:${name}`  // where state/nonce/PKCE verifier wait for the callback
+      }, (req, tokenSet, userinfo, done) => {
+        verifyIdentity(req, name, { ...tokenSet.claims(), ...userinfo }, done)
+      }))
+      log.info('Sign-in provider ready', { provider: name, issuer: issuer.issuer })
+      return strategyName
+    })
+    loading.catch(err => {
+      log.error('Sign-in provider discovery failed', { provider: name, err })
+      strategies.delete(name)
+    })
+    strategies.set(name, loading)
+  }
+  return strategies.get(name)
+}
+
+module.exports = { configure, list, find, strategyFor }
@@ -3,8 +3,79 @@
 // Passport.js is a popular authentication middleware for Node.js
 
 const LocalStrategy = require('passport-local').Strategy
+const BearerStrategy = require('passport-http-bearer').Strategy
 const mongoose = require('mongoose')
 const User = require('../models/User')
+const ApiToken = require('../models/ApiToken')
+const log = require('./logger')
+const oidc = require('./oidc')
+const { needsSecondFactor } = require('../middleware/auth')
+const { lockoutMessage } = require('../utils/throttle')
+
+// One message for every bad email/password combination, so the login form
+// can't be used to find out which emails have accounts
+const INVALID_LOGIN = { msg: 'Invalid email or password.' }
+
+// Shown to accounts an admin has locked (see controllers/admin.js)
+const ACCOUNT_LOCKED = { msg: 'This account has been locked by an administrator. Please contact support.' }
+
+// Pick a free userName for a new provider account, based on what the provider tells us
+const uniqueUserName = async (claims) => {
+  const base = String(claims.preferred_username || claims.name || claims.email.split('@')[0])
+    .replace(/[^\w.-]+/g, '').slice(0, 30) || 'user'
+  let userName = base
+  for (let n = 2; await User.exists({ userName }); n++) userName = `${base}${n}`
+  return userName
+}
+
+// Turn a provider identity into a user, for the OpenID Connect strategies
+// 1. Logged in already: link the identity to the current user (account page "Connect")
+// 2. Identity linked before: that user
+// 3. Verified email matching a confirmed account: link it to that account
+// 4. Otherwise: a new account without a password (one can be set from /account)
+const verifyIdentity = async (req, provider, claims) => {
+  const label = oidc.find(provider).label
+  const linked = await User.findByIdentity(provider, claims.sub)
+
+  if (req.user && !needsSecondFactor(req)) {
+    if (linked && !linked._id.equals(req.user._id)) {
+      return { user: false, info: { msg: `That ${label} account is already connected to another user.` } }
+    }
+    req.user.linkIdentity(provider, claims)
+    await req.user.save()
+    log.info('Sign-in provider linked', { userId: req.user.id, provider })
+    return { user: req.user, info: { linked: true } }
+  }
+
+  if (linked) return linked.isLocked() ? { user: false, info: ACCOUNT_LOCKED } : { user: linked }
+
+  if (!claims.email) {
+    return { user: false, info: { msg: `${label} did not share an email address, so we can't sign you in with it.` } }
+  }
+  const email = claims.email.toLowerCase()
+  const existing = await User.findOne({ email })
+  if (existing) {
+    // Only link to accounts whose owner has proven the address too - otherwise whoever
+    // registered it (maybe not the real owner) would get the provider account's access
+    if (existing.isLocked()) return { user: false, info: ACCOUNT_LOCKED }
+    if (!claims.email_verified || !existing.emailVerified) {
+      return { user: false, info: { msg: `An account with ${email} already exists. Log in with its password (or reset it), then connect ${label} from your account page.` } }
+    }
+    existing.linkIdentity(provider, claims)
+    await existing.save()
+    log.info('Sign-in provider linked by email', { userId: existing.id, provider })
+    return { user: existing }
+  }
+
+  const user = await User.create({
+    userName: await uniqueUserName(claims),
+    email,
+    emailVerified: Boolean(claims.email_verified),
+    identities: [{ provider, subject: String(claims.sub), email }]
+  })
+  log.info('User signed up with provider', { userId: user.id, provider })
+  return { user }
+}
 
 module.exports = function (passport) {
   // AUTHENTICATION STRATEGY CONFIGURATION
@@ -19,13 +90,25 @@ module.exports = function (passport) {
       
       // Check if user exists in database
       if (!user) {
-        // User not found - return false with error message
-        return done(null, false, { msg: `Email ${email} not found.` })
+        // User not found - same answer as a wrong password
+        return done(null, false, INVALID_LOGIN)
+      }
+
+      // Accounts locked by an admin stay locked until an admin unlocks them
+      if (user.isLocked()) {
+        return done(null, false, ACCOUNT_LOCKED)
+      }
+
+      // Locked accounts are refused without even checking the password,
+      // so guesses made during the lockout can't succeed
+      const lockedFor = user.lockedFor()
+      if (lockedFor) {
+        return done(null, false, lockoutMessage(lockedFor))
       }
       
       // Check if user has a password (handles cases where users might register via OAuth)
       if (!user.password) {
-        return done(null, false, { msg: 'Your account was registered using a sign-in provider. To enable password login, sign in using a provider, and then set a password under your user profile.' })
+        return done(null, false, INVALID_LOGIN)
       }
       
       // Compare the provided password with the hashed password in database
@@ -35,15 +118,49 @@ module.exports = function (passport) {
         
         if (isMatch) {
           // Password matches - authentication successful
-          // Return the user object (first param: error, second: user, third: info)
-          return done(null, user)
+          // Clear any earlier failures, then return the user object (first param: error, second: user, third: info)
+          if (!user.loginAttempts.count) return done(null, user)
+          user.resetLoginAttempts()
+          return user.save().then(() => done(null, user), done)
         }
         
-        // Password doesn't match - authentication failed
-        return done(null, false, { msg: 'Invalid email or password.' })
+        // Password doesn't match - count it, and tell the user if that locked the account
+        user.registerFailedLogin()
+          .then((wait) => {
+            if (!wait) return done(null, false, INVALID_LOGIN)
+            log.warn('Account locked after failed logins', { userId: user.id, attempts: user.loginAttempts.count, lockedMs: wait })
+            done(null, false, lockoutMessage(wait))
+          }, done)
       })
     })
   }))
+
+  // API TOKEN STRATEGY
+  // ==================
+  // Scripts send a personal access token as `Authorization: Bearer <token>`
+  // instead of logging in - no session is created (see authenticateToken in middleware/auth.js)
+  // The token's scope is passed on as req.authInfo
+  passport.use(new BearerStrategy((token, done) => {
+    ApiToken.findByToken(token)
+      .then(async (apiToken) => {
+        if (!apiToken) return done(null, false)
+        const user = await User.findById(apiToken.userId)
+        if (!user || user.isLocked()) return done(null, false)
+        await apiToken.touch()
+        done(null, user, { via: 'token', tokenId: apiToken._id, scope: apiToken.scope })
+      })
+      .catch(done)
+  }))
+  
+
+  // OPENID CONNECT STRATEGIES
+  // =========================
+  // One strategy per provider in OIDC_PROVIDERS, registered on first use (see config/oidc.js)
+  oidc.configure((req, provider, claims, done) => {
+    verifyIdentity(req, provider, claims)
+      .then(({ user, info }) => done(null, user, info))
+      .catch(done)
+  })
   
 
   // SERIALIZATION - STORING USER INFO IN SESSION
@@ -60,7 +177,9 @@ module.exports = function (passport) {
   // Deserialize user from session
   // This function runs on every request where the user is authenticated
   // It takes the user ID from the session and fetches the full user object from database
+  // A locked account's sessions are revoked when it's locked; treating it as
+  // logged out here as well covers any request already in flight
   passport.deserializeUser((id, done) => {
-    User.findById(id, (err, user) => done(err, user))
+    User.findById(id, (err, user) => done(err, user && !user.isLocked() ? user : false))
   })
 }
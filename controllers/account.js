@@ -0,0 +1,374 @@
+const { promisify } = require('util')
+const mongoose = require('mongoose')
+const QRCode = require('qrcode')
+const validator = require('validator')
+const User = require('../models/User')
+const Session = require('../models/Session')
+const ApiToken = require('../models/ApiToken')
+const log = require('../config/logger')
+const totp = require('../utils/totp')
+const { sendVerificationEmail, sendEmailChangeNotice } = require('../utils/accountEmails')
+const { deleteUserData } = require('../utils/accounts')
+const oidc = require('../config/oidc')
+
+// Name authenticator apps show next to the code
+const TOTP_ISSUER = 'Todo App'
+
+// Confirm the user's current password before security-sensitive changes
+const checkPassword = (user, password) =>
+    user.password ? promisify(user.comparePassword.bind(user))(password || '') : Promise.resolve(false)
+
+// Flash for a failed checkPassword - accounts made with a sign-in provider have no password yet
+const wrongPassword = (user) =>
+    ({msg: user.password ? 'Your password was incorrect.' : 'Please set a password first.'})
+
+// Render the 2FA page; during enrollment it shows the pending secret as a QR code and text
+// `recoveryCodes` is only passed right after they are generated - they are never shown again
+const renderTwoFactor = async (req, res, recoveryCodes = null) => {
+    const { twoFactor } = req.user
+    let enrollment = null
+    if (!twoFactor.enabled && twoFactor.pendingSecret) {
+        const uri = totp.otpauthUri({secret: twoFactor.pendingSecret, account: req.user.email, issuer: TOTP_ISSUER})
+        enrollment = {secret: twoFactor.pendingSecret, uri, qr: await QRCode.toDataURL(uri)}
+    }
+    res.render('account-2fa', {
+        title: 'Two-Factor Authentication',
+        user: req.user,
+        enrollment,
+        recoveryCodes,
+        recoveryCodesLeft: twoFactor.recoveryCodes.length
+    })
+}
+
+// Render the API token page; `newToken` is the plain-text token, passed only right after it's created
+const renderTokens = async (req, res, newToken = null) => {
+    res.render('account-tokens', {
+        title: 'API Tokens',
+        tokens: await ApiToken.find({userId: req.user._id}).sort({createdAt: -1}),
+        newToken
+    })
+}
+
+module.exports = {
+    // ACCOUNT PAGE
+    // ============
+    // GET /account - profile, email, password, 2FA link and account deletion
+    getAccount: (req, res)=>{
+        res.render('account', {
+            title: 'Your Account',
+            user: req.user,
+            // Every configured provider, with the user's identity there if connected
+            providers: oidc.list().map(provider => ({...provider, identity: req.user.identityFor(provider.name)}))
+        })
+    },
+
+    // POST /account/profile - {userName}; must stay unique, like at signup
+    updateProfile: async (req, res, next)=>{
+        try{
+            const userName = String(req.body.userName || '').trim()
+            if (!userName) {
+                req.flash('errors', {msg: 'User name cannot be blank.'})
+                return res.redirect('/account')
+            }
+            if (userName !== req.user.userName) {
+                if (await User.exists({userName, _id: {$ne: req.user._id}})) {
+                    req.flash('errors', {msg: 'That user name is already taken.'})
+                    return res.redirect('/account')
+                }
+                req.user.userName = userName
+                await req.user.save()
+                log.info('Profile updated', {userId: req.user.id})
+            }
+            req.flash('success', {msg: 'Your profile has been saved.'})
+            res.redirect('/account')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /account/email - {email, password}; the address only changes once
+    // the link sent to it is opened (see getVerifyEmail in controllers/auth.js)
+    changeEmail: async (req, res, next)=>{
+        try{
+            const user = req.user
+            if (!validator.isEmail(req.body.email || '')) {
+                req.flash('errors', {msg: 'Please enter a valid email address.'})
+                return res.redirect('/account')
+            }
+            const email = validator.normalizeEmail(req.body.email, {gmail_remove_dots: false})
+            if (!await checkPassword(user, req.body.password)) {
+                req.flash('errors', wrongPassword(user))
+                return res.redirect('/account')
+            }
+            // Entering the current address again cancels a pending change
+            if (email === user.email) {
+                user.pendingEmail = undefined
+                user.clearToken('emailVerification')
+                await user.save()
+                return res.redirect('/account')
+            }
+            if (await User.exists({email, _id: {$ne: user._id}})) {
+                req.flash('errors', {msg: 'That email address is already used by another account.'})
+                return res.redirect('/account')
+            }
+            user.pendingEmail = email
+            await sendVerificationEmail(user)
+            await sendEmailChangeNotice(user)
+            log.info('Email change requested', {userId: user.id})
+            req.flash('info', {msg: `We sent a confirmation link to ${email}. Your email address will change once you open it.`})
+            res.redirect('/account')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /account/password - {currentPassword, password, confirmPassword}
+    // (no currentPassword when the account doesn't have a password yet)
+    changePassword: async (req, res, next)=>{
+        try{
+            const user = req.user
+            const validationErrors = []
+            // Accounts made with a sign-in provider set their first password without one
+            if (user.password && !await checkPassword(user, req.body.currentPassword)) validationErrors.push({msg: 'Your current password was incorrect.'})
+            if (!validator.isLength(req.body.password || '', {min: 8})) validationErrors.push({msg: 'Password must be at least 8 characters long'})
+            if (req.body.password !== req.body.confirmPassword) validationErrors.push({msg: 'Passwords do not match'})
+            if (validationErrors.length) {
+                req.flash('errors', validationErrors)
+                return res.redirect('/account')
+            }
+            user.password = req.body.password // hashed by the pre-save hook
+            await user.save()
+            // Anyone else signed in with the old password is signed out
+            const sessionsRevoked = await Session.revokeAllForUser(user._id, req.sessionID)
+            log.info('Password changed', {userId: user.id, sessionsRevoked})
+            req.flash('success', {msg: 'Your password has been changed. You have been signed out on your other devices.'})
+            res.redirect('/account')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /account/delete - {password}; deletes the account, its lists and todos, and every session
+    deleteAccount: async (req, res, next)=>{
+        try{
+            const user = req.user
+            if (!await checkPassword(user, req.body.password)) {
+                req.flash('errors', wrongPassword(user))
+                return res.redirect('/account')
+            }
+            const deleted = await deleteUserData(user)
+            log.info('Account deleted', {userId: user.id, ...deleted})
+            // Our own session was deleted from the store with the others;
+            // drop it from this request too so nothing writes it back
+            req.logout((err) => {
+                if (err) return next(err)
+                req.session.destroy(() => res.redirect('/'))
+            })
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // SIGN-IN PROVIDERS
+    // =================
+    // Connecting goes through GET /auth/:provider while logged in (controllers/auth.js)
+
+    // POST /account/identities/:provider/unlink - disconnect a provider
+    // Refused when it's the only way left to sign in
+    unlinkIdentity: async (req, res, next)=>{
+        try{
+            const user = req.user
+            const provider = req.params.provider
+            if (!user.identityFor(provider)) {
+                req.flash('errors', {msg: 'That provider is not connected.'})
+                return res.redirect('/account')
+            }
+            if (!user.canUnlink(provider)) {
+                req.flash('errors', {msg: 'Set a password first - otherwise you would have no way to sign in.'})
+                return res.redirect('/account')
+            }
+            user.identities = user.identities.filter(identity => identity.provider !== provider)
+            await user.save()
+            log.info('Sign-in provider unlinked', {userId: user.id, provider})
+            req.flash('success', {msg: 'The provider has been disconnected.'})
+            res.redirect('/account')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // SESSIONS (DEVICES)
+    // =================
+    // GET /account/sessions - everywhere the user is signed in
+    getSessions: async (req, res, next)=>{
+        try{
+            res.render('account-sessions', {
+                title: 'Your Devices',
+                sessions: await Session.listForUser(req.user._id, req.sessionID)
+            })
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /account/sessions/:sessionId/revoke - sign out one session (:sessionId is its public id)
+    revokeSession: async (req, res, next)=>{
+        try{
+            if (req.params.sessionId === Session.publicId(req.sessionID)) {
+                req.flash('errors', {msg: 'Use Logout to sign out of this device.'})
+                return res.redirect('/account/sessions')
+            }
+            if (!await Session.revokeForUser(req.user._id, req.params.sessionId)) {
+                req.flash('errors', {msg: 'That session has already ended.'})
+                return res.redirect('/account/sessions')
+            }
+            log.info('Session revoked', {userId: req.user.id})
+            req.flash('success', {msg: 'That device has been signed out.'})
+            res.redirect('/account/sessions')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /account/sessions/revoke-others - sign out everywhere except here
+    revokeOtherSessions: async (req, res, next)=>{
+        try{
+            const sessionsRevoked = await Session.revokeAllForUser(req.user._id, req.sessionID)
+            log.info('Other sessions revoked', {userId: req.user.id, sessionsRevoked})
+            req.flash('success', {msg: `Signed out of ${sessionsRevoked} other session${sessionsRevoked === 1 ? '' : 's'}.`})
+            res.redirect('/account/sessions')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // PERSONAL API TOKENS
+    // ===================
+    // GET /account/tokens - the user's tokens (never the tokens themselves)
+    getTokens: async (req, res, next)=>{
+        try{
+            await renderTokens(req, res)
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /account/tokens - {name, scope}; shows the new token once
+    createToken: async (req, res, next)=>{
+        try{
+            const name = String(req.body.name || '').trim()
+            const validationErrors = []
+            if (!name) validationErrors.push({msg: 'Token name cannot be blank.'})
+            else if (name.length > 60) validationErrors.push({msg: 'Token name must be 60 characters or fewer.'})
+            if (!ApiToken.SCOPES.includes(req.body.scope)) validationErrors.push({msg: `Scope must be one of: ${ApiToken.SCOPES.join(', ')}.`})
+            if (validationErrors.length) {
+                req.flash('errors', validationErrors)
+                return res.redirect('/account/tokens')
+            }
+            const { apiToken, token } = await ApiToken.issue(req.user._id, {name, scope: req.body.scope})
+            log.info('API token created', {userId: req.user.id, tokenId: apiToken.id, scope: apiToken.scope})
+            await renderTokens(req, res, token)
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /account/tokens/:tokenId/revoke - the token stops working immediately
+    revokeToken: async (req, res, next)=>{
+        try{
+            const { deletedCount } = mongoose.Types.ObjectId.isValid(req.params.tokenId)
+                ? await ApiToken.deleteOne({_id: req.params.tokenId, userId: req.user._id})
+                : {deletedCount: 0}
+            if (!deletedCount) {
+                req.flash('errors', {msg: 'That token has already been revoked.'})
+                return res.redirect('/account/tokens')
+            }
+            log.info('API token revoked', {userId: req.user.id, tokenId: req.params.tokenId})
+            req.flash('success', {msg: 'The token has been revoked.'})
+            res.redirect('/account/tokens')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // TWO-FACTOR AUTHENTICATION SETTINGS
+    // ==================================
+    // GET /account/2fa - status, enrollment or management
+    getTwoFactor: async (req, res, next)=>{
+        try{
+            await renderTwoFactor(req, res)
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /account/2fa/setup - create a secret to scan; 2FA stays off until a code confirms it
+    setupTwoFactor: async (req, res, next)=>{
+        try{
+            if (req.user.twoFactor.enabled) return res.redirect('/account/2fa')
+            req.user.beginTwoFactor()
+            await req.user.save()
+            res.redirect('/account/2fa')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /account/2fa/enable - {code} from the app proves it has the secret
+    enableTwoFactor: async (req, res, next)=>{
+        try{
+            const user = req.user
+            if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) return res.redirect('/account/2fa')
+            if (!user.checkTotp(req.body.code, user.twoFactor.pendingSecret)) {
+                req.flash('errors', {msg: 'That code is not valid. Check the time on your device and try again.'})
+                return res.redirect('/account/2fa')
+            }
+            const recoveryCodes = user.enableTwoFactor()
+            await user.save()
+            // This session has just shown it has the second factor
+            req.session.secondFactorPassed = true
+            log.info('Two-factor authentication enabled', {userId: user.id})
+            req.flash('success', {msg: 'Two-factor authentication is on.'})
+            await renderTwoFactor(req, res, recoveryCodes)
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /account/2fa/recovery-codes - {password}; replaces every unused recovery code
+    regenerateRecoveryCodes: async (req, res, next)=>{
+        try{
+            const user = req.user
+            if (!user.twoFactor.enabled) return res.redirect('/account/2fa')
+            if (!await checkPassword(user, req.body.password)) {
+                req.flash('errors', wrongPassword(user))
+                return res.redirect('/account/2fa')
+            }
+            const recoveryCodes = user.generateRecoveryCodes()
+            await user.save()
+            log.info('Recovery codes regenerated', {userId: user.id})
+            await renderTwoFactor(req, res, recoveryCodes)
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /account/2fa/disable - {password}; turns 2FA off
+    disableTwoFactor: async (req, res, next)=>{
+        try{
+            const user = req.user
+            if (!user.twoFactor.enabled) return res.redirect('/account/2fa')
+            if (!await checkPassword(user, req.body.password)) {
+                req.flash('errors', wrongPassword(user))
+                return res.redirect('/account/2fa')
+            }
+            user.disableTwoFactor()
+            await user.save()
+            log.info('Two-factor authentication disabled', {userId: user.id})
+            req.flash('success', {msg: 'Two-factor authentication is off.'})
+            res.redirect('/account/2fa')
+        }catch(err){
+            next(err)
+        }
+    }
+}
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose')
+const validator = require('validator')
+const List = require('../models/List')
+const User = require('../models/User')
+const TodoActivity = require('../models/TodoActivity')
+const recurrence = require('../utils/recurrence')
+const { ValidationError, NotFoundError } = require('../utils/errors')
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 100
+
+// Shape an activity entry for JSON responses
+const serializeActivity = (entry) => ({
+    id: entry._id,
+    todoId: entry.todoId,
+    listId: entry.listId,
+    todo: entry.todoText,
+    action: entry.action,
+    actorId: entry.actorId,
+    actorName: entry.actorName,
+    changes: entry.changes,
+    details: entry.details,
+    createdAt: entry.createdAt
+})
+
+// ?limit= (1-100) and ?before= (an ISO date, to fetch the page after the last entry seen)
+const parsePaging = (query) => {
+    const errors = []
+    const paging = {limit: DEFAULT_LIMIT, before: null}
+    if (query.limit !== undefined) {
+        const limit = /^\d+$/.test(String(query.limit)) ? parseInt(query.limit, 10) : NaN
+        if (!(limit >= 1 && limit <= MAX_LIMIT)) errors.push({field: 'limit', msg: `Limit must be between 1 and ${MAX_LIMIT}.`})
+        else paging.limit = limit
+    }
+    if (query.before !== undefined) {
+        if (typeof query.before !== 'string' || !validator.isISO8601(query.before)) errors.push({field: 'before', msg: 'Before must be a valid date.'})
+        else paging.before = new Date(query.before)
+    }
+    if (errors.length) throw new ValidationError('Validation failed.', errors)
+    return paging
+}
+
+module.exports = {
+    // GET /todos/item/:todoId - one todo with everything about it and its history
+    getTodoDetail: async (req, res, next)=>{
+        try{
+            const todo = req.todo
+            const activity = await TodoActivity.recent({todoId: todo._id}, {limit: MAX_LIMIT})
+            const ids = [todo.userId, todo.completedBy].filter(Boolean)
+            const users = await User.find({_id: {$in: ids}}).select('userName')
+            res.render('todo', {
+                title: todo.todo,
+                todo,
+                list: req.list,
+                activity,
+                userNames: Object.fromEntries(users.map(user => [user.id, user.userName])),
+                describeRecurrence: recurrence.describe
+            })
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // JSON API
+    // ========
+    // GET /api/v1/todos/:todoId/activity?limit=&before= - one todo's history, newest first
+    apiTodoActivity: async (req, res, next)=>{
+        try{
+            const paging = parsePaging(req.query)
+            const activity = await TodoActivity.recent({todoId: req.todo._id}, paging)
+            res.json({activity: activity.map(serializeActivity)})
+        }catch(err){
+            next(err)
+        }
+    },
+    // GET /api/v1/activity?list=&actor=me&limit=&before= - recent activity in the
+    // lists the user can see (or just one), optionally only their own actions
+    // Deleted todos keep their history here
+    apiRecentActivity: async (req, res, next)=>{
+        try{
+            const paging = parsePaging(req.query)
+            if (req.query.actor !== undefined && req.query.actor !== 'me') {
+                throw new ValidationError('Validation failed.', [{field: 'actor', msg: 'Actor can only be "me".'}])
+            }
+            let listIds
+            if (req.query.list !== undefined) {
+                const list = mongoose.Types.ObjectId.isValid(req.query.list) && await List.findForUser(req.user._id, req.query.list)
+                if (!list) throw new NotFoundError('List not found.')
+                listIds = [list._id]
+            } else {
+                listIds = (await List.find(List.accessibleBy(req.user._id)).select('_id')).map(list => list._id)
+            }
+            const filter = {listId: {$in: listIds}}
+            if (req.query.actor === 'me') filter.actorId = req.user._id
+            const activity = await TodoActivity.recent(filter, paging)
+            res.json({activity: activity.map(serializeActivity)})
+        }catch(err){
+            next(err)
+        }
+    }
+}
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose')
+const User = require('../models/User')
+const Todo = require('../models/Todo')
+const Session = require('../models/Session')
+const AuditLog = require('../models/AuditLog')
+const ApiToken = require('../models/ApiToken')
+const log = require('../config/logger')
+const { sendPasswordResetEmail } = require('../utils/accountEmails')
+const { deleteUserData } = require('../utils/accounts')
+const { NotFoundError } = require('../utils/errors')
+
+const USERS_PER_PAGE = 25
+const ENTRIES_PER_PAGE = 50
+
+// ?page= as a whole number >= 1 (anything else is page 1)
+const pageFrom = (query) => (/^\d+$/.test(String(query.page)) ? Math.max(1, parseInt(query.page, 10)) : 1)
+
+// The user named in the URL, or a 404
+const findTarget = async (req) => {
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId) && await User.findById(req.params.userId)
+    if (!user) throw new NotFoundError('User not found.')
+    return user
+}
+
+// Admins can't lock, reset or delete their own account from the console -
+// a slip would shut them out (the account page still lets them delete it)
+const refuseSelf = (req, res, target) => {
+    if (!target._id.equals(req.user._id)) return false
+    req.flash('errors', {msg: "You can't do that to your own account."})
+    res.redirect('/admin')
+    return true
+}
+
+// Each action below writes its audit entry first, so nothing happens unless it's on
+// record: if the entry can't be saved, the request fails before touching the account
+
+// {userId: {total, completed}} for the todos each user created (not counting trashed ones)
+const todoCountsFor = async (userIds) => {
+    const rows = await Todo.aggregate([
+        {$match: {userId: {$in: userIds}, deletedAt: null}},
+        {$group: {_id: '$userId', total: {$sum: 1}, completed: {$sum: {$cond: ['$completed', 1, 0]}}}}
+    ])
+    return Object.fromEntries(rows.map(row => [row._id.toString(), {total: row.total, completed: row.completed}]))
+}
+
+module.exports = {
+    // USERS
+    // =====
+    // GET /admin?q=&page= - every account, newest first, searchable by name or email
+    listUsers: async (req, res, next)=>{
+        try{
+            const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 100) : ''
+            const page = pageFrom(req.query)
+            const total = await User.search(q).countDocuments()
+            const users = await User.search(q)
+                .sort({_id: -1})
+                .skip((page - 1) * USERS_PER_PAGE)
+                .limit(USERS_PER_PAGE)
+            const counts = await todoCountsFor(users.map(user => user._id))
+            res.render('admin-users', {
+                title: 'Admin: Users',
+                user: req.user,
+                users: users.map(user => ({user, todos: counts[user.id] || {total: 0, completed: 0}})),
+                q,
+                page,
+                pages: Math.max(1, Math.ceil(total / USERS_PER_PAGE)),
+                total
+            })
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /admin/users/:userId/lock - block logins, sessions and API tokens until unlocked
+    lockUser: async (req, res, next)=>{
+        try{
+            const target = await findTarget(req)
+            if (refuseSelf(req, res, target)) return
+            if (!target.isLocked()) {
+                await AuditLog.record(req, 'user.lock', target)
+                target.lockedAt = new Date()
+                target.lockedBy = req.user._id
+                await target.save()
+                const sessionsRevoked = await Session.revokeAllForUser(target._id)
+                log.warn('User locked by admin', {userId: target.id, adminId: req.user.id, sessionsRevoked})
+            }
+            req.flash('success', {msg: `${target.userName} has been locked and signed out everywhere.`})
+            res.redirect('/admin')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /admin/users/:userId/unlock
+    unlockUser: async (req, res, next)=>{
+        try{
+            const target = await findTarget(req)
+            if (target.isLocked()) {
+                await AuditLog.record(req, 'user.unlock', target)
+                target.lockedAt = undefined
+                target.lockedBy = undefined
+                await target.save()
+                log.info('User unlocked by admin', {userId: target.id, adminId: req.user.id})
+            }
+            req.flash('success', {msg: `${target.userName} has been unlocked.`})
+            res.redirect('/admin')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /admin/users/:userId/reset-password - clear the password, sign the
+    // user out everywhere, revoke their API tokens and email them a reset link
+    forcePasswordReset: async (req, res, next)=>{
+        try{
+            const target = await findTarget(req)
+            if (refuseSelf(req, res, target)) return
+            // Someone holding the password may have made a token with it, so those go too
+            const tokenCount = await ApiToken.countDocuments({userId: target._id})
+            await AuditLog.record(req, 'user.reset-password', target, {tokensRevoked: tokenCount})
+            target.password = undefined
+            const sessionsRevoked = await Session.revokeAllForUser(target._id)
+            const { deletedCount: tokensRevoked } = await ApiToken.deleteMany({userId: target._id})
+            await sendPasswordResetEmail(target, {byAdmin: true})  // saves the user
+            log.warn('Password reset forced by admin', {userId: target.id, adminId: req.user.id, sessionsRevoked, tokensRevoked})
+            req.flash('success', {msg: `${target.userName}'s password was cleared and a reset link sent to ${target.email}.`})
+            res.redirect('/admin')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /admin/users/:userId/delete - same clean-up as deleting your own account
+    deleteUser: async (req, res, next)=>{
+        try{
+            const target = await findTarget(req)
+            if (refuseSelf(req, res, target)) return
+            await AuditLog.record(req, 'user.delete', target, {email: target.email})
+            const deleted = await deleteUserData(target)
+            log.warn('User deleted by admin', {userId: target.id, adminId: req.user.id, ...deleted})
+            req.flash('success', {msg: `${target.userName}'s account has been deleted.`})
+            res.redirect('/admin')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // AUDIT LOG
+    // =========
+    // GET /admin/audit?page= - admin actions, newest first (read-only)
+    getAuditLog: async (req, res, next)=>{
+        try{
+            const page = pageFrom(req.query)
+            const total = await AuditLog.countDocuments()
+            const entries = await AuditLog.find()
+                .sort({createdAt: -1})
+                .skip((page - 1) * ENTRIES_PER_PAGE)
+                .limit(ENTRIES_PER_PAGE)
+            res.render('admin-audit', {
+                title: 'Admin: Audit Log',
+                entries,
+                page,
+                pages: Math.max(1, Math.ceil(total / ENTRIES_PER_PAGE))
+            })
+        }catch(err){
+            next(err)
+        }
+    }
+}
@@ -6,6 +6,46 @@
 const passport = require('passport')        // Passport.js for authentication
 const validator = require('validator')      // Input validation library
 const User = require('../models/User')     // User model for database operations
+const Session = require('../models/Session') // Stored sessions, to sign users out everywhere
+const log = require('../config/logger')    // Structured logger
+const { createTracker, describeWait, lockoutMessage } = require('../utils/throttle')
+const { needsSecondFactor } = require('../middleware/auth')
+const { absoluteUrl, sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails')
+const oidc = require('../config/oidc')       // Configured "Sign in with ..." providers
+
+// Failed logins per IP address, whichever accounts they target:
+// 20 free per 15 minutes, then 1s, 2s, 4s ... up to 15 minutes between tries
+const loginsByIp = createTracker({ free: 20, base: 1000, max: 15 * 60 * 1000, window: 15 * 60 * 1000 })
+
+// Establish the login session once a password (or sign-in provider) has been accepted
+// req.logIn() is a Passport.js method that establishes a login session
+// It calls serializeUser() to store user info in session
+// It also regenerates the session (new ID, empty data) so an ID planted
+// before login can't be used to ride the new session (session fixation)
+// req.session.returnTo stores the original URL they were trying to access,
+// so read it before the old session is thrown away
+const logInUser = (req, res, next, user) => {
+  const returnTo = req.session.returnTo
+  req.logIn(user, (err) => {
+    if (err) { return next(err) }
+    
+    // TWO-FACTOR CHECK
+    // ================
+    // The first factor was right, but accounts with 2FA also need a code
+    // ensureAuth keeps sending this session to /login/2fa until then
+    if (user.twoFactor.enabled) {
+      req.session.secondFactorPassed = false
+      req.session.returnTo = returnTo
+      return res.redirect('/login/2fa')
+    }
+    
+    // Show success message and redirect user
+    req.flash('success', { msg: 'Success! You are logged in.' })
+    
+    // Redirect to intended page (if they were redirected to login) or default to /todos
+    res.redirect(returnTo || '/todos')
+  })
+}
 
 // GET LOGIN PAGE
 // ==============
@@ -21,7 +61,8 @@ exports.getLogin = (req, res) => {
     
     // User is not logged in - show login page
     res.render('login', {
-      title: 'Login'
+      title: 'Login',
+      providers: oidc.list()  // "Sign in with ..." buttons
     })
   }
   
@@ -45,6 +86,16 @@ exports.getLogin = (req, res) => {
     
     // Normalize email (convert to lowercase, remove extra spaces)
     req.body.email = validator.normalizeEmail(req.body.email, { gmail_remove_dots: false })
+
+    // PER-IP THROTTLE
+    // ===============
+    // Stops one client from guessing passwords across many accounts
+    // (each account also locks itself - see LOCKOUT in models/User.js)
+    const ipWait = loginsByIp.retryAfter(req.ip)
+    if (ipWait) {
+      req.flash('errors', { msg: `Too many failed login attempts from your network. Please try again in ${describeWait(ipWait)}.` })
+      return res.redirect('/login')
+    }
   
     // PASSPORT.JS AUTHENTICATION
     // ==========================
@@ -56,51 +107,143 @@ exports.getLogin = (req, res) => {
       
       // If authentication failed (user is false), show error and redirect
       if (!user) {
+        const wait = loginsByIp.fail(req.ip)
+        if (wait) log.warn('Login attempts throttled', { ip: req.ip, waitMs: wait })
         req.flash('errors', info) // 'info' contains the error message from our strategy
         return res.redirect('/login')
       }
       
       // SUCCESSFUL AUTHENTICATION - LOG USER IN
       // ========================================
-      // req.logIn() is a Passport.js method that establishes a login session
-      // It calls serializeUser() to store user info in session
+      // The right password clears this network's failures too
+      loginsByIp.reset(req.ip)
+      logInUser(req, res, next, user)
+    })(req, res, next) // Immediately invoke the middleware function
+  }
+  
+  // SIGN-IN PROVIDERS (OPENID CONNECT)
+  // ==================================
+  // Both routes run the provider's Passport strategy: the first call redirects to
+  // the provider, the second handles its answer. The same routes connect a provider
+  // to the logged-in user from the account page (see verifyIdentity in config/passport.js)
+  const providerAuthenticate = async (req, res, next, callback) => {
+    const strategy = await oidc.strategyFor(passport, req.params.provider)
+    if (!strategy) return next()  // not a configured provider: 404
+    // The redirect URI is built from APP_URL, like emailed links
+    passport.authenticate(strategy, { redirect_uri: absoluteUrl(`/auth/${req.params.provider}/callback`) }, callback)(req, res, next)
+  }
+
+  // Where to go when a provider step fails: back to the account page when connecting one
+  const providerFailure = (req, res, info) => {
+    req.flash('errors', { msg: (info && info.msg) || 'Signing in with that provider failed. Please try again.' })
+    res.redirect(req.user && !needsSecondFactor(req) ? '/account' : '/login')
+  }
+
+  // GET /auth/:provider - send the user to the provider
+  exports.startProviderLogin = (req, res, next) => {
+    providerAuthenticate(req, res, next).catch((err) => {
+      log.error('Sign-in provider unavailable', { provider: req.params.provider, err })
+      providerFailure(req, res)
+    })
+  }
+
+  // GET /auth/:provider/callback - the provider sends the user back here
+  exports.providerCallback = (req, res, next) => {
+    providerAuthenticate(req, res, next, (err, user, info) => {
+      if (err) {
+        log.error('Sign-in provider callback failed', { provider: req.params.provider, err })
+        return providerFailure(req, res)
+      }
+      if (!user) return providerFailure(req, res, info)
+      if (info && info.linked) {
+        req.flash('success', { msg: `${oidc.find(req.params.provider).label} is now connected to your account.` })
+        return res.redirect('/account')
+      }
+      logInUser(req, res, next, user)
+    }).catch((err) => {
+      log.error('Sign-in provider unavailable', { provider: req.params.provider, err })
+      providerFailure(req, res)
+    })
+  }
+
+  // TWO-FACTOR LOGIN STEP
+  // =====================
+  // GET /login/2fa - ask for the authenticator (or recovery) code
+  exports.getTwoFactor = (req, res) => {
+    if (!req.user) return res.redirect('/login')
+    if (!needsSecondFactor(req)) return res.redirect('/todos')
+    res.render('login-2fa', { title: 'Two-Factor Authentication' })
+  }
+
+  // POST /login/2fa - check the code and finish logging in
+  // Wrong codes count towards the same lockout as wrong passwords
+  exports.postTwoFactor = async (req, res, next) => {
+    if (!req.user) return res.redirect('/login')
+    if (!needsSecondFactor(req)) return res.redirect('/todos')
+    const user = req.user
+    try {
+      const lockedFor = user.lockedFor()
+      if (lockedFor) {
+        req.flash('errors', lockoutMessage(lockedFor))
+        return res.redirect('/login/2fa')
+      }
+
+      const code = String(req.body.code || '').trim()
+      const codeOk = user.checkTotp(code)
+      const usedRecoveryCode = !codeOk && user.useRecoveryCode(code)
+      if (!codeOk && !usedRecoveryCode) {
+        const wait = await user.registerFailedLogin()
+        if (wait) log.warn('Account locked after failed 2FA codes', { userId: user.id, attempts: user.loginAttempts.count, lockedMs: wait })
+        req.flash('errors', wait ? lockoutMessage(wait) : { msg: 'That code is not valid. Please try again.' })
+        return res.redirect('/login/2fa')
+      }
+
+      user.resetLoginAttempts()
+      await user.save()
+      if (usedRecoveryCode) log.info('Recovery code used', { userId: user.id, remaining: user.twoFactor.recoveryCodes.length })
+
+      // Log in again so the fully authenticated session gets a fresh ID too
+      const returnTo = req.session.returnTo
       req.logIn(user, (err) => {
         if (err) { return next(err) }
-        
-        // Show success message and redirect user
+        req.session.secondFactorPassed = true
         req.flash('success', { msg: 'Success! You are logged in.' })
-        
-        // Redirect to intended page (if they were redirected to login) or default to /todos
-        // req.session.returnTo stores the original URL they were trying to access
-        res.redirect(req.session.returnTo || '/todos')
+        if (usedRecoveryCode) {
+          req.flash('info', { msg: `You used a recovery code. ${user.twoFactor.recoveryCodes.length} left - you can make new ones under Account.` })
+        }
+        res.redirect(returnTo || '/todos')
       })
-    })(req, res, next) // Immediately invoke the middleware function
+    } catch (err) {
+      next(err)
+    }
   }
-  
+
   // LOGOUT PROCESS
   // ==============
   // Handles user logout and session cleanup
-  exports.logout = (req, res) => {
+  // POST only (with the CSRF token), so another site can't log users out with a link or <img>
+  exports.logout = (req, res, next) => {
     // PASSPORT.JS LOGOUT
     // ==================
     // req.logout() is a Passport.js method that removes user from req.user
     // and removes their session data related to authentication
-    req.logout(() => {
-      console.log('User has logged out.')
-    })
-    
-    // COMPLETE SESSION DESTRUCTION
-    // ============================
-    // Destroy the entire session for security
-    // This removes all session data, not just auth data
-    req.session.destroy((err) => {
-      if (err) console.log('Error : Failed to destroy the session during logout.', err)
-      
-      // Explicitly clear user object (though session.destroy should handle this)
-      req.user = null
+    req.logout((err) => {
+      if (err) { return next(err) }
+      log.info('User has logged out.')
       
-      // Redirect to home page - user is now fully logged out
-      res.redirect('/')
+      // COMPLETE SESSION DESTRUCTION
+      // ============================
+      // Destroy the entire session for security
+      // This removes all session data, not just auth data
+      req.session.destroy((err) => {
+        if (err) log.error('Failed to destroy the session during logout.', { err })
+        
+        // Explicitly clear user object (though session.destroy should handle this)
+        req.user = null
+        
+        // Redirect to home page - user is now fully logged out
+        res.redirect('/')
+      })
     })
   }
   
@@ -117,7 +260,8 @@ exports.getLogin = (req, res) => {
     
     // User is not logged in - show signup page
     res.render('signup', {
-      title: 'Create Account'
+      title: 'Create Account',
+      providers: oidc.list()
     })
   }
   
@@ -182,9 +326,152 @@ exports.getLogin = (req, res) => {
           if (err) {
             return next(err)
           }
-          // Redirect to main app - user is now registered and logged in
-          res.redirect('/todos')
+          
+          // EMAIL VERIFICATION
+          // ==================
+          // The account works right away, but some features stay locked
+          // (see ensureVerified) until the emailed link is opened
+          sendVerificationEmail(user)
+            .then(() => req.flash('info', { msg: `We sent a confirmation link to ${user.email}.` }))
+            .catch((err) => {
+              log.error('Failed to send verification email', { err, userId: user.id })
+              req.flash('errors', { msg: 'We could not send your confirmation email. You can resend it from your todo list.' })
+            })
+            // Redirect to main app - user is now registered and logged in
+            .then(() => res.redirect('/todos'))
         })
       })
     })
-  }
\ No newline at end of file
+  }
+
+  // FORGOT PASSWORD
+  // ===============
+  // GET /forgot - form asking for the account's email address
+  exports.getForgot = (req, res) => {
+    if (req.user) return res.redirect('/todos')
+    res.render('forgot', { title: 'Forgot Password' })
+  }
+
+  // POST /forgot - email a reset link if the account exists
+  // The response is the same either way, so the form can't be used to discover accounts
+  exports.postForgot = async (req, res, next) => {
+    if (!validator.isEmail(req.body.email || '')) {
+      req.flash('errors', { msg: 'Please enter a valid email address.' })
+      return res.redirect('/forgot')
+    }
+    const email = validator.normalizeEmail(req.body.email, { gmail_remove_dots: false })
+    try {
+      const user = await User.findOne({ email })
+      if (user) {
+        // Not awaited: waiting for the mail server only for real accounts would let
+        // the response time tell which addresses are registered
+        log.info('Password reset requested', { userId: user.id })
+        sendPasswordResetEmail(user).catch((err) => {
+          log.error('Password reset email failed', { userId: user.id, err })
+        })
+      }
+      req.flash('info', { msg: `If an account exists for ${email}, we sent it a link to reset the password.` })
+      res.redirect('/login')
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  // RESET PASSWORD
+  // ==============
+  // GET /reset/:token - new password form (only for a valid, unexpired token)
+  exports.getReset = async (req, res, next) => {
+    try {
+      const user = await User.findByToken('passwordReset', req.params.token)
+      if (!user) {
+        req.flash('errors', { msg: 'That password reset link is invalid or has expired.' })
+        return res.redirect('/forgot')
+      }
+      res.render('reset', { title: 'Reset Password', token: req.params.token })
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  // POST /reset/:token - set the new password and use up the token
+  exports.postReset = async (req, res, next) => {
+    const validationErrors = []
+    if (!validator.isLength(req.body.password || '', { min: 8 })) validationErrors.push({ msg: 'Password must be at least 8 characters long' })
+    if (req.body.password !== req.body.confirmPassword) validationErrors.push({ msg: 'Passwords do not match' })
+    if (validationErrors.length) {
+      req.flash('errors', validationErrors)
+      return res.redirect(`/reset/${req.params.token}`)
+    }
+    try {
+      const user = await User.findByToken('passwordReset', req.params.token)
+      if (!user) {
+        req.flash('errors', { msg: 'That password reset link is invalid or has expired.' })
+        return res.redirect('/forgot')
+      }
+      user.password = req.body.password // hashed by the pre-save hook
+      user.clearToken('passwordReset')
+      // The new password unlocks an account locked by failed logins
+      user.resetLoginAttempts()
+      // Opening the emailed link proves the current address is theirs
+      // (an email change still waiting for confirmation is dropped with its token)
+      user.emailVerified = true
+      user.pendingEmail = undefined
+      user.clearToken('emailVerification')
+      await user.save()
+      // Whoever knew the old password is signed out everywhere
+      const sessionsRevoked = await Session.revokeAllForUser(user._id)
+      log.info('Password reset', { userId: user.id, sessionsRevoked })
+      req.flash('success', { msg: 'Your password has been changed. Please log in.' })
+      res.redirect('/login')
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  // EMAIL VERIFICATION
+  // ==================
+  // GET /verify/:token - the link from the verification email
+  exports.getVerifyEmail = async (req, res, next) => {
+    try {
+      const user = await User.findByToken('emailVerification', req.params.token)
+      if (!user) {
+        req.flash('errors', { msg: 'That confirmation link is invalid or has expired.' })
+        return res.redirect(req.user ? '/todos' : '/login')
+      }
+      // A link sent for an email change moves the account to the new address,
+      // unless someone else has registered that address in the meantime
+      if (user.pendingEmail) {
+        if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+          user.pendingEmail = undefined
+          user.clearToken('emailVerification')
+          await user.save()
+          req.flash('errors', { msg: 'That email address is already used by another account.' })
+          return res.redirect(req.user ? '/account' : '/login')
+        }
+        log.info('Email changed', { userId: user.id })
+        user.email = user.pendingEmail
+        user.pendingEmail = undefined
+      }
+      user.emailVerified = true
+      user.clearToken('emailVerification')
+      await user.save()
+      log.info('Email verified', { userId: user.id })
+      req.flash('success', { msg: 'Thanks! Your email address is confirmed.' })
+      res.redirect(req.user ? '/todos' : '/login')
+    } catch (err) {
+      next(err)
+    }
+  }
+
+  // POST /verify/resend - send a new verification link to the logged-in user
+  exports.postResendVerification = async (req, res, next) => {
+    try {
+      if (req.user.emailVerified && !req.user.pendingEmail) return res.redirect('/todos')
+      await sendVerificationEmail(req.user)
+      req.flash('info', { msg: `We sent a new confirmation link to ${req.user.pendingEmail || req.user.email}.` })
+      // Email changes are resent from the account page
+      res.redirect(req.user.pendingEmail ? '/account' : '/todos')
+    } catch (err) {
+      next(err)
+    }
+  }
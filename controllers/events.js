@@ -0,0 +1,9 @@
+const realtime = require('../utils/realtime')
+
+module.exports = {
+    // GET /events - keep the connection open and stream todo/list changes
+    // Authenticated by the normal session cookie, which EventSource sends along
+    stream: (req, res)=>{
+        realtime.subscribe(req, res)
+    }
+}
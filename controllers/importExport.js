@@ -0,0 +1,165 @@
+const Todo = require('../models/Todo')
+const List = require('../models/List')
+const TodoActivity = require('../models/TodoActivity')
+const log = require('../config/logger')
+const realtime = require('../utils/realtime')
+const todoFormats = require('../utils/todoFormats')
+const { ValidationError, NotFoundError } = require('../utils/errors')
+
+// Lists the user can import into: editor access and not archived
+const importableLists = async (user) => {
+    const lists = await List.find(List.accessibleBy(user._id)).sort({isDefault: -1, name: 1})
+    return lists.filter(list => list.allows(user._id, 'editor') && !list.archived)
+}
+
+// Split parsed items into new ones and duplicates of todos already in the list
+// (or earlier in the same file)
+const splitDuplicates = async (listId, items) => {
+    const existing = await Todo.find({listId}).select('todo')
+    const seen = new Set(existing.map(todo => todoFormats.duplicateKey(todo.todo)))
+    const fresh = []
+    const duplicates = []
+    items.forEach(item => {
+        const key = todoFormats.duplicateKey(item.todo)
+        if (seen.has(key)) return duplicates.push(item)
+        seen.add(key)
+        fresh.push(item)
+    })
+    return {fresh, duplicates}
+}
+
+// Render the import page; `preview` is set after a file was uploaded
+const renderImport = async (req, res, preview = null) => {
+    res.render('import', {
+        title: 'Import Todos',
+        lists: await importableLists(req.user),
+        selectedListId: preview ? preview.list.id : (req.query.list || ''),
+        formats: Object.keys(todoFormats.FORMATS),
+        priorities: Todo.PRIORITIES,
+        preview
+    })
+}
+
+module.exports = {
+    // EXPORT
+    // ======
+    // GET /todos/export?format=json|csv|markdown&list=<id>
+    // One list (viewer access is enough), or every list the user can see
+    exportTodos: async (req, res, next)=>{
+        try{
+            const format = req.query.format || 'json'
+            if (!todoFormats.FORMATS[format]) {
+                throw new ValidationError('Validation failed.', [{field: 'format', msg: `Format must be one of: ${Object.keys(todoFormats.FORMATS).join(', ')}.`}])
+            }
+            let lists
+            if (req.query.list) {
+                const list = await List.findForUser(req.user._id, req.query.list)
+                if (!list) throw new NotFoundError('List not found.')
+                lists = [list]
+            } else {
+                lists = await List.find(List.accessibleBy(req.user._id)).sort({isDefault: -1, name: 1})
+            }
+            const order = new Map(lists.map((list, i) => [list.id, i]))
+            const todos = (await Todo.find({listId: {$in: lists.map(list => list._id)}}).sort({rank: 1, _id: 1}))
+                .sort((a, b) => order.get(String(a.listId)) - order.get(String(b.listId)))
+
+            const { contentType, extension } = todoFormats.FORMATS[format]
+            const name = lists.length === 1 ? lists[0].name.replace(/[^\w-]+/g, '-').toLowerCase() : 'all-lists'
+            log.info('Todos exported', {userId: req.user.id, format, lists: lists.length, count: todos.length})
+            res.attachment(`todos-${name}-${new Date().toISOString().slice(0, 10)}.${extension}`)
+            res.type(contentType).send(todoFormats.serialize(format, lists, todos))
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // IMPORT
+    // ======
+    // Two steps: uploading a file shows a preview (kept in the session),
+    // then confirming creates every new todo in one insertMany
+
+    // GET /todos/import - upload form
+    getImport: async (req, res, next)=>{
+        try{
+            await renderImport(req, res)
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /todos/import - {file, listId, format}; parse and preview, nothing is saved yet
+    previewImport: async (req, res, next)=>{
+        try{
+            if (!req.file) {
+                req.flash('errors', {msg: 'Please choose a file to import.'})
+                return res.redirect('/todos/import')
+            }
+            const format = req.body.format || 'auto'
+            if (format !== 'auto' && !todoFormats.FORMATS[format]) {
+                req.flash('errors', {msg: 'Unknown import format.'})
+                return res.redirect('/todos/import')
+            }
+            let parsed
+            try{
+                parsed = todoFormats.parseImport(req.file.buffer.toString('utf8'), {format, fileName: req.file.originalname})
+            }catch(err){
+                req.flash('errors', {msg: `Couldn't read ${req.file.originalname}: ${err.message}`})
+                return res.redirect(`/todos/import?list=${req.list._id}`)
+            }
+            const { fresh, duplicates } = await splitDuplicates(req.list._id, parsed.items)
+            req.session.pendingImport = {
+                listId: req.list.id,
+                fileName: req.file.originalname,
+                items: fresh
+            }
+            await renderImport(req, res, {
+                list: req.list,
+                fileName: req.file.originalname,
+                format: parsed.format,
+                fresh,
+                duplicates,
+                errors: parsed.errors
+            })
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // POST /todos/import/confirm - {listId}; create the previewed todos
+    // Duplicates are checked again, in case the list changed since the preview
+    confirmImport: async (req, res, next)=>{
+        try{
+            const pending = req.session.pendingImport
+            if (!pending || pending.listId !== req.list.id) {
+                req.flash('errors', {msg: 'That import has expired. Please upload the file again.'})
+                return res.redirect('/todos/import')
+            }
+            delete req.session.pendingImport
+            const { fresh, duplicates } = await splitDuplicates(req.list._id, pending.items)
+
+            // Keep the file's order, at the top or bottom of the list like new todos
+            const position = req.user.preferences.newTodoPosition
+            const edge = await Todo.nextRank(req.list._id, position)
+            const firstRank = position === 'top' ? edge - (fresh.length - 1) * Todo.RANK_GAP : edge
+            const now = new Date()
+            const created = await Todo.insertMany(fresh.map((item, i) => ({
+                ...item,
+                // insertMany skips save middleware, so completedAt is set here
+                completedAt: item.completed ? now : null,
+                completedBy: item.completed ? req.user._id : null,
+                rank: firstRank + i * Todo.RANK_GAP,
+                listId: req.list._id,
+                userId: req.user.id
+            })))
+
+            log.info('Todos imported', {userId: req.user.id, listId: req.list.id, file: pending.fileName, count: created.length, duplicates: duplicates.length})
+            await TodoActivity.record(req, 'created', created, {details: {via: 'import', file: pending.fileName}})
+            realtime.publishToList(req.list, 'list:changed', {left: await Todo.countDocuments({listId: req.list._id, completed: false})})
+            req.flash('success', {msg: `Imported ${created.length} todo${created.length === 1 ? '' : 's'} into ${req.list.name}.` +
+                (duplicates.length ? ` ${duplicates.length} already there were skipped.` : '')})
+            res.redirect(`/todos?list=${req.list._id}`)
+        }catch(err){
+            next(err)
+        }
+    }
+}
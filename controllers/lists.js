@@ -0,0 +1,182 @@
+const validator = require('validator')
+const List = require('../models/List')
+const User = require('../models/User')
+const Todo = require('../models/Todo')
+const log = require('../config/logger')
+const realtime = require('../utils/realtime')
+const { ValidationError, NotFoundError, ConflictError, ForbiddenError } = require('../utils/errors')
+
+// Shape a list document for JSON responses
+// `userId` is the viewer, so the response can include their role
+const serializeList = (list, userId, left = 0) => ({
+    id: list._id,
+    name: list.name,
+    isDefault: list.isDefault,
+    archived: list.archived,
+    role: list.roleOf(userId),
+    left,
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt
+})
+
+// Validate name/archived; `partial` is used for updates, where both are optional
+const parseListInput = (body, { partial = false } = {}) => {
+    const errors = []
+    const values = {}
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) errors.push({ field: 'name', msg: 'List name cannot be blank.' })
+        else if (body.name.trim().length > 60) errors.push({ field: 'name', msg: 'List name must be 60 characters or fewer.' })
+        else values.name = body.name.trim()
+    }
+    if (body.archived !== undefined) {
+        if (typeof body.archived !== 'boolean') errors.push({ field: 'archived', msg: 'Archived must be true or false.' })
+        else values.archived = body.archived
+    }
+    return { errors, values }
+}
+
+// Look up a user to share with by user name or email (both are unique)
+const findUserByIdentifier = (identifier) => {
+    const value = String(identifier || '').trim()
+    if (!value) return null
+    if (validator.isEmail(value)) {
+        return User.findOne({email: validator.normalizeEmail(value, { gmail_remove_dots: false })})
+    }
+    return User.findOne({userName: value})
+}
+
+module.exports = {
+    // POST /lists - create a list from the sidebar form, then show it
+    createList: async (req, res, next)=>{
+        const { errors, values } = parseListInput(req.body)
+        if (errors.length) {
+            req.flash('errors', errors)
+            return res.redirect('/todos')
+        }
+        try{
+            // Make sure the default list exists before the first custom one
+            await List.findOrCreateDefault(req.user.id)
+            const list = await List.create({...values, userId: req.user.id})
+            log.info('List created', {listId: list.id, userId: req.user.id})
+            res.redirect(`/todos?list=${list._id}`)
+        }catch(err){
+            next(err)
+        }
+    },
+    // PUT /lists/:listId and PATCH /api/v1/lists/:id - rename and/or (un)archive
+    updateList: async (req, res, next)=>{
+        try{
+            const { errors, values } = parseListInput(req.body, {partial: true})
+            if (errors.length) throw new ValidationError('Validation failed.', errors)
+            const list = req.list
+            if (values.archived && list.isDefault) throw new ConflictError('The default list cannot be archived.')
+            list.set(values)
+            await list.save()
+            log.info('List updated', {listId: list.id, userId: req.user.id, changes: Object.keys(values)})
+            const left = await Todo.countDocuments({listId: list._id, completed: false})
+            realtime.publishToList(list, 'list:changed', {left})
+            res.json({list: serializeList(list, req.user._id, left)})
+        }catch(err){
+            next(err)
+        }
+    },
+    // DELETE /lists/:listId and /api/v1/lists/:listId - removes the list and all of its todos
+    deleteList: async (req, res, next)=>{
+        try{
+            const list = req.list
+            if (list.isDefault) throw new ConflictError('The default list cannot be deleted.')
+            const { deletedCount } = await Todo.deleteMany({listId: list._id})
+            await list.deleteOne()
+            log.info('List deleted', {listId: list.id, userId: req.user.id, todosDeleted: deletedCount})
+            realtime.publishToList(list, 'list:deleted')
+            res.sendStatus(204)
+        }catch(err){
+            next(err)
+        }
+    },
+
+
+    // SHARING
+    // =======
+    // Owners add people by user name or email and pick their role
+    // Everyone can see who is on a list; anyone can leave a list they were added to
+
+    // GET /lists/:listId/members and /api/v1/lists/:listId/members
+    getMembers: async (req, res, next)=>{
+        try{
+            res.json({members: await req.list.memberDetails()})
+        }catch(err){
+            next(err)
+        }
+    },
+    // POST /lists/:listId/members and /api/v1/lists/:listId/members - body {identifier, role}
+    // Adding someone who is already a member changes their role
+    shareList: async (req, res, next)=>{
+        try{
+            const list = req.list
+            const errors = []
+            if (!List.ROLES.includes(req.body.role)) errors.push({field: 'role', msg: `Role must be one of: ${List.ROLES.join(', ')}.`})
+            const user = errors.length ? null : await findUserByIdentifier(req.body.identifier)
+            if (!errors.length && !user) errors.push({field: 'identifier', msg: 'No user with that user name or email.'})
+            if (errors.length) throw new ValidationError('Validation failed.', errors)
+            if (list.userId.equals(user._id)) throw new ConflictError('The list creator is always an owner.')
+
+            const member = list.members.find(m => m.userId.equals(user._id))
+            if (member) member.role = req.body.role
+            else list.members.push({userId: user._id, role: req.body.role, addedBy: req.user._id})
+            await list.save()
+            log.info('List shared', {listId: list.id, userId: req.user.id, memberId: user.id, role: req.body.role})
+            realtime.publishToList(list, 'list:changed')
+            res.status(member ? 200 : 201).json({members: await list.memberDetails()})
+        }catch(err){
+            next(err)
+        }
+    },
+    // DELETE /lists/:listId/members/:userId and /api/v1/lists/:listId/members/:userId
+    // Owners can revoke anyone but the creator; members can remove themselves
+    revokeMember: async (req, res, next)=>{
+        try{
+            const list = req.list
+            const leaving = String(req.user._id) === req.params.userId
+            if (!leaving && req.listRole !== 'owner') throw new ForbiddenError('You need owner access to this list to do that.')
+            if (String(list.userId) === req.params.userId) throw new ConflictError('The list creator cannot be removed.')
+            const before = list.members.length
+            list.members = list.members.filter(m => String(m.userId) !== req.params.userId)
+            if (list.members.length === before) throw new NotFoundError('Member not found.')
+            await list.save()
+            log.info('List access revoked', {listId: list.id, userId: req.user.id, memberId: req.params.userId})
+            // From the removed member's point of view the list is gone
+            realtime.publish([req.params.userId], 'list:deleted', {listId: list._id})
+            realtime.publishToList(list, 'list:changed')
+            if (leaving) return res.sendStatus(204)
+            res.json({members: await list.memberDetails()})
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // JSON API (/api/v1/lists)
+    // ========================
+    apiListLists: async (req, res, next)=>{
+        try{
+            await List.findOrCreateDefault(req.user.id)
+            const lists = await List.find(List.accessibleBy(req.user._id)).sort({isDefault: -1, name: 1})
+            const leftByList = await Todo.countLeftByList(lists.map(list => list._id))
+            res.json({lists: lists.map(list => serializeList(list, req.user._id, leftByList[list.id] || 0))})
+        }catch(err){
+            next(err)
+        }
+    },
+    apiCreateList: async (req, res, next)=>{
+        try{
+            const { errors, values } = parseListInput(req.body)
+            if (errors.length) throw new ValidationError('Validation failed.', errors)
+            await List.findOrCreateDefault(req.user.id)
+            const list = await List.create({...values, userId: req.user.id})
+            log.info('List created', {listId: list.id, userId: req.user.id})
+            res.status(201).location(`/api/v1/lists/${list._id}`).json({list: serializeList(list, req.user._id)})
+        }catch(err){
+            next(err)
+        }
+    }
+}
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose')
+const List = require('../models/List')
+const stats = require('../utils/stats')
+const { ValidationError, NotFoundError } = require('../utils/errors')
+
+// ?period=day|week and ?list=<id> (every list the user can see when empty)
+// Resolves with {period, lists, list} - `list` is the chosen one or null
+const statsQuery = async (req) => {
+    const period = req.query.period || 'day'
+    if (typeof period !== 'string' || !Object.prototype.hasOwnProperty.call(stats.PERIODS, period)) {
+        throw new ValidationError('Validation failed.', [{field: 'period', msg: `Period must be one of: ${Object.keys(stats.PERIODS).join(', ')}.`}])
+    }
+    const lists = await List.find(List.accessibleBy(req.user._id)).sort({isDefault: -1, name: 1})
+    let list = null
+    if (req.query.list) {
+        list = mongoose.Types.ObjectId.isValid(req.query.list) && lists.find(l => l._id.equals(req.query.list))
+        if (!list) throw new NotFoundError('List not found.')
+    }
+    return {period, lists, list}
+}
+
+module.exports = {
+    // GET /stats?period=&list= - the dashboard
+    getStats: async (req, res, next)=>{
+        try{
+            const { period, lists, list } = await statsQuery(req)
+            const data = await stats.buildStats((list ? [list] : lists).map(l => l._id), {period})
+            res.render('stats', {
+                title: 'Statistics',
+                stats: data,
+                period,
+                periods: Object.keys(stats.PERIODS),
+                lists,
+                list,
+                listNames: Object.fromEntries(lists.map(l => [l.id, l.name])),
+                describeDuration: stats.describeDuration,
+                // Tallest bar in the timeline, so the page can scale them
+                peak: Math.max(1, ...data.timeline.map(row => Math.max(row.created, row.completed)))
+            })
+        }catch(err){
+            next(err)
+        }
+    },
+    // GET /api/v1/stats?period=&list= - the same numbers as JSON, for charts
+    apiStats: async (req, res, next)=>{
+        try{
+            const { period, lists, list } = await statsQuery(req)
+            const data = await stats.buildStats((list ? [list] : lists).map(l => l._id), {period})
+            res.json({listId: list ? list._id : null, stats: data})
+        }catch(err){
+            next(err)
+        }
+    }
+}
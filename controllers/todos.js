@@ -1,55 +1,728 @@
+const mongoose = require('mongoose')
+const validator = require('validator')
 const Todo = require('../models/Todo')
+const List = require('../models/List')
+const User = require('../models/User')
+const TodoActivity = require('../models/TodoActivity')
+const log = require('../config/logger')
+const realtime = require('../utils/realtime')
+const recurrence = require('../utils/recurrence')
+const trash = require('../utils/trash')
+const { ValidationError, NotFoundError, ConflictError, ForbiddenError } = require('../utils/errors')
+const { parseListQuery, toQueryString, STATUSES, SORTS } = require('../utils/listQuery')
+
+// Shape a todo document for JSON responses
+// Keeps the API free of mongoose internals such as _id/__v naming
+const serializeTodo = (todo) => ({
+    id: todo._id,
+    todo: todo.todo,
+    completed: todo.completed,
+    completedAt: todo.completedAt,
+    dueDate: todo.dueDate,
+    priority: todo.priorityLabel,
+    notes: todo.notes,
+    tags: todo.tags,
+    subtasks: todo.subtasks.map(subtask => ({
+        id: subtask._id,
+        text: subtask.text,
+        completed: subtask.completed,
+        completedAt: subtask.completedAt
+    })),
+    recurrence: todo.recurrence,
+    nextOccurrenceId: todo.nextOccurrenceId,
+    rank: todo.rank,
+    listId: todo.listId,
+    userId: todo.userId,
+    completedBy: todo.completedBy,
+    createdAt: todo.createdAt,
+    updatedAt: todo.updatedAt,
+    version: todo.__v
+})
+
+// Tags arrive as an array (API) or a comma separated string (form)
+const splitTags = (tags) => (Array.isArray(tags) ? tags : String(tags).split(','))
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter((tag, i, all) => tag && all.indexOf(tag) === i)
+
+// Validate the writable fields of a todo and convert them to model values
+// `partial` is used by PATCH, where every field is optional
+// `dueDate` is the todo's current due date, which weekly/monthly rules without a day fall back to
+// Returns { errors, values } - values only holds the fields that were sent
+const parseTodoInput = (body, { partial = false, dueDate = null } = {}) => {
+    const errors = []
+    const values = {}
+
+    if (!partial || body.todo !== undefined) {
+        if (typeof body.todo !== 'string' || !body.todo.trim()) errors.push({ field: 'todo', msg: 'Todo text cannot be blank.' })
+        else if (body.todo.trim().length > 280) errors.push({ field: 'todo', msg: 'Todo text must be 280 characters or fewer.' })
+        else values.todo = body.todo.trim()
+    }
+
+    if (body.completed !== undefined) {
+        if (typeof body.completed !== 'boolean') errors.push({ field: 'completed', msg: 'Completed must be true or false.' })
+        else values.completed = body.completed
+    }
+
+    // Empty string / null clears the due date
+    if (body.dueDate !== undefined) {
+        if (body.dueDate === null || body.dueDate === '') values.dueDate = null
+        else if (typeof body.dueDate !== 'string' || !validator.isISO8601(body.dueDate)) errors.push({ field: 'dueDate', msg: 'Due date must be a valid date (YYYY-MM-DD).' })
+        else values.dueDate = new Date(body.dueDate)
+    }
+
+    if (body.priority !== undefined && body.priority !== '') {
+        const priority = Todo.PRIORITIES.indexOf(body.priority)
+        if (priority === -1) errors.push({ field: 'priority', msg: `Priority must be one of: ${Todo.PRIORITIES.join(', ')}.` })
+        else values.priority = priority
+    }
+
+    if (body.notes !== undefined) {
+        if (typeof body.notes !== 'string') errors.push({ field: 'notes', msg: 'Notes must be text.' })
+        else if (body.notes.trim().length > 2000) errors.push({ field: 'notes', msg: 'Notes must be 2000 characters or fewer.' })
+        else values.notes = body.notes.trim()
+    }
+
+    if (body.tags !== undefined) {
+        const tags = splitTags(body.tags)
+        if (tags.length > Todo.MAX_TAGS) errors.push({ field: 'tags', msg: `A todo can have at most ${Todo.MAX_TAGS} tags.` })
+        else if (tags.some(tag => tag.length > 30)) errors.push({ field: 'tags', msg: 'Tags must be 30 characters or fewer.' })
+        else values.tags = tags
+    }
+
+    // null stops the todo repeating (see utils/recurrence.js for the rule format)
+    if (body.recurrence !== undefined) {
+        const parsed = recurrence.parseRecurrence(body.recurrence, { dueDate: values.dueDate !== undefined ? values.dueDate : dueDate })
+        errors.push(...parsed.errors)
+        if (!parsed.errors.length) values.recurrence = parsed.value
+    }
+
+    return { errors, values }
+}
+
+// Validate a subtask's text (required when adding, optional when updating)
+const parseSubtaskText = (text, errors) => {
+    if (typeof text !== 'string' || !text.trim()) errors.push({ field: 'text', msg: 'Subtask text cannot be blank.' })
+    else if (text.trim().length > 280) errors.push({ field: 'text', msg: 'Subtask text must be 280 characters or fewer.' })
+    else return text.trim()
+}
+
+// The subtask named in the URL, from the todo requireTodoRole loaded
+const findSubtask = (req) => {
+    const subtask = mongoose.Types.ObjectId.isValid(req.params.subtaskId) && req.todo.subtasks.id(req.params.subtaskId)
+    if (!subtask) throw new NotFoundError('Subtask not found.')
+    return subtask
+}
+
+// Extra $set fields (and their arrayFilters) that tick off every open subtask,
+// for completing a todo with {completeSubtasks: true}
+const checkOpenSubtasks = () => ({
+    set: {'subtasks.$[open].completed': true, 'subtasks.$[open].completedAt': new Date()},
+    arrayFilters: [{'open.completed': false}]
+})
+
+// Archived lists can be read but not added to or changed
+const assertWritable = (list) => {
+    if (list.archived) throw new ConflictError('This list is archived. Unarchive it to change its todos.')
+}
+
+// `completed` and `completedBy` always change together
+const completion = (completed, user) => ({completed, completedBy: completed ? user._id : null})
+
+// Complete (or reopen) req.todo, along with any `extra` changes
+// Only a todo that actually changes state gets a new completedAt/completedBy, so a
+// double-click, a second tab or a retried request can't reset them
+// Resolves with {todo, changed} - todo is null when it's gone
+const setCompletion = async (req, completed, extra = {}, options = {}) => {
+    const todo = await Todo.findOneAndUpdate({_id: req.todo._id, completed: !completed}, {...extra, ...completion(completed, req.user)}, {...options, new: true})
+    if (todo) return {todo, changed: true}
+    const unchanged = Object.keys(extra).length
+        ? await Todo.findOneAndUpdate({_id: req.todo._id}, extra, {...options, new: true})
+        : await Todo.findById(req.todo._id)
+    return {todo: unchanged, changed: false}
+}
+
+// Push a change to every open tab of everyone on the list (see utils/realtime.js)
+// Carries the list's fresh "left" count so clients can update the counter in place
+// Resolves with that count so the acting tab can use it too
+const notify = async (list, event, data = {}) => {
+    const left = await Todo.countDocuments({listId: list._id, completed: false})
+    realtime.publishToList(list, event, {...data, left})
+    return left
+}
+
+// Completing a repeating todo creates its next occurrence (see Todo.createNextOccurrence)
+// Resolves with the new todo, or null; callers tell the list's clients about it
+const createNextOccurrence = async (req, todo) => {
+    const next = await todo.createNextOccurrence(req.user.preferences.newTodoPosition)
+    if (next) {
+        log.info('Next occurrence created', {todoId: next.id, previousId: todo.id, dueDate: next.dueDate})
+        await TodoActivity.record(req, 'created', next, {details: {via: 'recurrence', previousId: todo._id}})
+    }
+    return next
+}
+
+// ACTIVITY
+// ========
+// Fields whose edits are recorded in the todo's history, as readable values
+const TRACKED_FIELDS = {
+    todo: text => text,
+    dueDate: date => (date ? date.toISOString().slice(0, 10) : null),
+    priority: priority => Todo.PRIORITIES[priority] || Todo.PRIORITIES[0],
+    notes: notes => notes || '',
+    tags: tags => [...(tags || [])],
+    recurrence: rule => recurrence.describe(rule) || null,
+    listId: listId => String(listId)
+}
+
+// {field: {from, to}} for every tracked field that differs between two versions of a todo
+const changesBetween = (before, after) => {
+    const changes = {}
+    Object.entries(TRACKED_FIELDS).forEach(([field, readable]) => {
+        const from = readable(before[field])
+        const to = readable(after[field])
+        if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = {from, to}
+    })
+    return changes
+}
+
+// Record an edit of req.todo (now `todo`), unless nothing tracked changed
+const recordEdit = async (req, todo) => {
+    const changes = changesBetween(req.todo, todo)
+    if (Object.keys(changes).length) await TodoActivity.record(req, 'edited', todo, {changes})
+}
+
+// Take the todo requireTodoRole({trashed: true}) loaded out of the trash
+// and put it back on its list's clients; resolves with the restored todo
+const restoreFromTrash = async (req) => {
+    assertWritable(req.list)
+    const todo = await Todo.restore(req.todo._id)
+    if (!todo) throw new NotFoundError('Todo not found.')
+    log.info('Todo restored', {todoId: todo.id, userId: req.user.id})
+    await TodoActivity.record(req, 'restored', todo)
+    const left = await notify(req.list, 'todo:created', {todo: serializeTodo(todo)})
+    return {todo, left}
+}
+
+// Map user ids to user names for "added by"/"completed by" labels
+const userNamesFor = async (todos) => {
+    const ids = new Set()
+    todos.forEach(todo => {
+        ids.add(String(todo.userId))
+        if (todo.completedBy) ids.add(String(todo.completedBy))
+    })
+    const users = await User.find({_id: {$in: [...ids]}}).select('userName')
+    return Object.fromEntries(users.map(user => [user.id, user.userName]))
+}
 
 module.exports = {
-    getTodos: async (req,res)=>{
-        console.log(req.user)
+    getTodos: async (req,res,next)=>{
+        try{
+            const options = parseListQuery(req.query)
+            const currentList = req.list
+            const result = await Todo.findPage({...options, listId: currentList._id})
+            // Sidebar: every list the user can see, with its own "left" count
+            await List.findOrCreateDefault(req.user.id)
+            const lists = await List.find(List.accessibleBy(req.user._id)).sort({isDefault: -1, name: 1})
+            const leftByList = await Todo.countLeftByList(lists.map(l => l._id))
+            res.render('todos.ejs', {
+                todos: result.todos,
+                // itemsLeft always counts the whole list, whatever the filter/page
+                left: leftByList[currentList.id] || 0,
+                user: req.user,
+                currentList,
+                role: req.listRole,
+                members: await currentList.memberDetails(),
+                roles: List.ROLES,
+                canEdit: currentList.allows(req.user._id, 'editor') && !currentList.archived,
+                lists,
+                leftByList,
+                userNames: await userNamesFor(result.todos),
+                priorities: Todo.PRIORITIES,
+                weekdays: recurrence.WEEKDAYS,
+                describeRecurrence: recurrence.describe,
+                list: options,
+                pagination: result,
+                statuses: STATUSES,
+                sorts: SORTS,
+                newTodoPosition: req.user.preferences.newTodoPosition,
+                linkTo: (changes) => '/todos' + toQueryString(options, changes)
+            })
+        }catch(err){
+            next(err)
+        }
+    },
+    // GET /todos/item/:todoId/row - one todo's <li>, rendered like the list page does,
+    // so main.js can show pushed changes with every field (due date, tags, priority ...)
+    // main.js makes the row draggable itself when the page is sortable
+    getTodoRow: async (req, res, next)=>{
         try{
-            const todoItems = await Todo.find({userId:req.user.id})
-            const itemsLeft = await Todo.countDocuments({userId:req.user.id,completed: false})
-            res.render('todos.ejs', {todos: todoItems, left: itemsLeft, user: req.user})
+            res.render('partials/todo-item', {
+                el: req.todo,
+                sortable: false,
+                canEdit: req.list.allows(req.user._id, 'editor') && !req.list.archived,
+                userNames: await userNamesFor([req.todo]),
+                describeRecurrence: recurrence.describe
+            })
+        }catch(err){
+            next(err)
+        }
+    },
+    createTodo: async (req, res, next)=>{
+        const { errors, values } = parseTodoInput({
+            todo: req.body.todoItem,
+            dueDate: req.body.dueDate,
+            priority: req.body.priority,
+            notes: req.body.notes,
+            tags: req.body.tags,
+            recurrence: recurrence.fromForm(req.body)
+        })
+        const backToList = `/todos?list=${req.list._id}`
+        if (errors.length) {
+            req.flash('errors', errors)
+            return res.redirect(backToList)
+        }
+        try{
+            assertWritable(req.list)
+            const rank = await Todo.nextRank(req.list._id, req.user.preferences.newTodoPosition)
+            const todo = await Todo.create({...values, completed: false, rank, listId: req.list._id, userId: req.user.id})
+            log.info('Todo created', {todoId: todo.id, listId: req.list.id, userId: req.user.id})
+            await TodoActivity.record(req, 'created', todo)
+            await notify(req.list, 'todo:created', {todo: serializeTodo(todo)})
+            res.redirect(backToList)
+        }catch(err){
+            next(err)
+        }
+    },
+    markComplete: async (req, res, next)=>{
+        try{
+            assertWritable(req.list)
+            // {completeSubtasks: true} ticks off the open checklist items as well
+            let extra = {}
+            const options = {}
+            if (req.body.completeSubtasks === true && req.todo.subtasks.some(subtask => !subtask.completed)) {
+                const { set, arrayFilters } = checkOpenSubtasks()
+                extra = set
+                options.arrayFilters = arrayFilters
+            }
+            const { todo, changed } = await setCompletion(req, true, extra, options)
+            if (!todo) throw new NotFoundError('Todo not found.')
+            log.info('Todo marked complete', {todoId: todo.id, userId: req.user.id})
+            if (changed) await TodoActivity.record(req, 'completed', todo)
+            const nextTodo = changed ? await createNextOccurrence(req, todo) : null
+            let left = await notify(req.list, 'todo:updated', {todo: serializeTodo(todo)})
+            if (nextTodo) left = await notify(req.list, 'todo:created', {todo: serializeTodo(nextTodo)})
+            res.json({todo: serializeTodo(todo), next: nextTodo && serializeTodo(nextTodo), left})
+        }catch(err){
+            next(err)
+        }
+    },
+    markIncomplete: async (req, res, next)=>{
+        try{
+            assertWritable(req.list)
+            const { todo, changed } = await setCompletion(req, false)
+            if (!todo) throw new NotFoundError('Todo not found.')
+            log.info('Todo marked incomplete', {todoId: todo.id, userId: req.user.id})
+            if (changed) await TodoActivity.record(req, 'reopened', todo)
+            const left = await notify(req.list, 'todo:updated', {todo: serializeTodo(todo)})
+            res.json({todo: serializeTodo(todo), left})
+        }catch(err){
+            next(err)
+        }
+    },
+    editTodo: async (req, res, next)=>{
+        try{
+            assertWritable(req.list)
+            const { errors, values } = parseTodoInput({todo: req.body.todo}, {partial: true})
+            if (errors.length || values.todo === undefined) throw new ValidationError('Validation failed.', errors)
+            const todo = await Todo.findOneAndUpdate({_id: req.todo._id}, {todo: values.todo}, {new: true})
+            if (!todo) throw new NotFoundError('Todo not found.')
+            log.info('Todo edited', {todoId: todo.id, userId: req.user.id})
+            await recordEdit(req, todo)
+            const left = await notify(req.list, 'todo:updated', {todo: serializeTodo(todo)})
+            res.json({todo: serializeTodo(todo), left})
+        }catch(err){
+            next(err)
+        }
+    },
+    // SUBTASKS
+    // ========
+    // The checklist inside a todo, used by the page (todoIdFromJSFile in the body)
+    // and the API (/api/v1/todos/:todoId/subtasks). requireTodoRole has already
+    // checked access to the parent todo. Every answer carries the whole todo
+
+    // POST - {text}; the new subtask goes to the end of the checklist
+    addSubtask: async (req, res, next)=>{
+        try{
+            const errors = []
+            const text = parseSubtaskText(req.body.text, errors)
+            if (req.todo.subtasks.length >= Todo.MAX_SUBTASKS) errors.push({field: 'text', msg: `A todo can have at most ${Todo.MAX_SUBTASKS} subtasks.`})
+            if (errors.length) throw new ValidationError('Validation failed.', errors)
+            assertWritable(req.list)
+            const todo = await Todo.findOneAndUpdate({_id: req.todo._id}, {$push: {subtasks: {text}}}, {new: true, runValidators: true})
+            if (!todo) throw new NotFoundError('Todo not found.')
+            const subtask = todo.subtasks[todo.subtasks.length - 1]
+            log.info('Subtask added', {todoId: todo.id, subtaskId: subtask.id, userId: req.user.id})
+            const left = await notify(req.list, 'todo:updated', {todo: serializeTodo(todo)})
+            res.status(201).json({todo: serializeTodo(todo), subtask: {id: subtask._id}, left})
+        }catch(err){
+            next(err)
+        }
+    },
+    // PUT/PATCH - {text, completed}, either or both
+    // With {completeParent: true}, ticking off the last open subtask completes the todo too
+    updateSubtask: async (req, res, next)=>{
+        try{
+            const subtask = findSubtask(req)
+            const errors = []
+            const set = {}
+            if (req.body.text !== undefined) set['subtasks.$.text'] = parseSubtaskText(req.body.text, errors)
+            if (req.body.completed !== undefined) {
+                if (typeof req.body.completed !== 'boolean') errors.push({field: 'completed', msg: 'Completed must be true or false.'})
+                else if (req.body.completed !== subtask.completed) {
+                    set['subtasks.$.completed'] = req.body.completed
+                    set['subtasks.$.completedAt'] = req.body.completed ? new Date() : null
+                }
+            }
+            if (req.body.text === undefined && req.body.completed === undefined) errors.push({field: 'text', msg: 'Send text and/or completed.'})
+            if (errors.length) throw new ValidationError('Validation failed.', errors)
+            assertWritable(req.list)
+
+            let todo = await Todo.findOneAndUpdate({_id: req.todo._id, 'subtasks._id': subtask._id}, {$set: set}, {new: true})
+            if (!todo) throw new NotFoundError('Subtask not found.')
+            log.info('Subtask updated', {todoId: todo.id, subtaskId: subtask.id, userId: req.user.id})
+
+            let nextTodo = null
+            const completesParent = req.body.completeParent === true && !todo.completed && todo.subtasks.every(s => s.completed)
+            const parent = completesParent && await setCompletion(req, true)
+            if (parent && parent.changed) {
+                todo = parent.todo
+                log.info('Todo marked complete', {todoId: todo.id, userId: req.user.id, viaSubtasks: true})
+                await TodoActivity.record(req, 'completed', todo, {details: {via: 'subtasks'}})
+                nextTodo = await createNextOccurrence(req, todo)
+            }
+            let left = await notify(req.list, 'todo:updated', {todo: serializeTodo(todo)})
+            if (nextTodo) left = await notify(req.list, 'todo:created', {todo: serializeTodo(nextTodo)})
+            res.json({todo: serializeTodo(todo), next: nextTodo && serializeTodo(nextTodo), left})
         }catch(err){
-            console.log(err)
+            next(err)
         }
     },
-    createTodo: async (req, res)=>{
+    // DELETE - remove one subtask
+    deleteSubtask: async (req, res, next)=>{
         try{
-            await Todo.create({todo: req.body.todoItem, completed: false, userId: req.user.id})
-            console.log('Todo has been added!')
+            const subtask = findSubtask(req)
+            assertWritable(req.list)
+            const todo = await Todo.findOneAndUpdate({_id: req.todo._id}, {$pull: {subtasks: {_id: subtask._id}}}, {new: true})
+            if (!todo) throw new NotFoundError('Todo not found.')
+            log.info('Subtask deleted', {todoId: todo.id, subtaskId: subtask.id, userId: req.user.id})
+            const left = await notify(req.list, 'todo:updated', {todo: serializeTodo(todo)})
+            res.json({todo: serializeTodo(todo), left})
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // RECURRENCE
+    // ==========
+    // Body: {todoIdFromJSFile} plus the repeat* fields of the create form
+    // (see recurrence.fromForm); repeat: 'none' stops the todo repeating
+    setRecurrence: async (req, res, next)=>{
+        try{
+            assertWritable(req.list)
+            const { errors, values } = parseTodoInput({recurrence: recurrence.fromForm(req.body)}, {partial: true, dueDate: req.todo.dueDate})
+            if (errors.length) throw new ValidationError('Validation failed.', errors)
+            const todo = await Todo.findOneAndUpdate({_id: req.todo._id}, {recurrence: values.recurrence}, {new: true, runValidators: true})
+            if (!todo) throw new NotFoundError('Todo not found.')
+            log.info('Todo recurrence changed', {todoId: todo.id, userId: req.user.id, frequency: values.recurrence ? values.recurrence.frequency : null})
+            await recordEdit(req, todo)
+            const left = await notify(req.list, 'todo:updated', {todo: serializeTodo(todo)})
+            res.json({todo: serializeTodo(todo), left})
+        }catch(err){
+            next(err)
+        }
+    },
+    // MANUAL ORDERING
+    // ===============
+    // Body: {todoIdFromJSFile, prevId, nextId} - the todos now directly above/below
+    // the dragged one (null at either end of the list)
+    reorderTodo: async (req, res, next)=>{
+        try{
+            assertWritable(req.list)
+            const { prevId = null, nextId = null } = req.body
+            const invalid = [['prevId', prevId], ['nextId', nextId]]
+                .filter(([, value]) => value !== null && !mongoose.Types.ObjectId.isValid(value))
+                .map(([field]) => ({field, msg: 'Invalid todo id.'}))
+            if (invalid.length) throw new ValidationError('Validation failed.', invalid)
+
+            const todo = await Todo.moveBetween(req.todo, prevId, nextId)
+            if (!todo) throw new NotFoundError('Todo not found.')
+            log.info('Todo moved', {todoId: todo.id, userId: req.user.id, rank: todo.rank})
+            await notify(req.list, 'todo:moved', {todo: serializeTodo(todo), prevId, nextId})
+            res.json({todo: serializeTodo(todo)})
+        }catch(err){
+            next(err)
+        }
+    },
+    setNewTodoPosition: async (req, res, next)=>{
+        try{
+            if (!['top', 'bottom'].includes(req.body.newTodoPosition)) {
+                req.flash('errors', {msg: 'New todos can only be added to the top or bottom.'})
+                return res.redirect('/todos')
+            }
+            req.user.preferences.newTodoPosition = req.body.newTodoPosition
+            await req.user.save()
             res.redirect('/todos')
         }catch(err){
-            console.log(err)
+            next(err)
         }
     },
-    markComplete: async (req, res)=>{
+    // BULK ACTIONS
+    // ============
+    // One updateMany/deleteMany each, scoped to one list (body.listId)
+    toggleAll: async (req, res, next)=>{
         try{
-            await Todo.findOneAndUpdate({_id:req.body.todoIdFromJSFile},{
-                completed: true
+            if (typeof req.body.completed !== 'boolean') {
+                throw new ValidationError('Validation failed.', [{field: 'completed', msg: 'Completed must be true or false.'}])
+            }
+            assertWritable(req.list)
+            // Only touch todos that actually change, so completedAt isn't reset on finished ones
+            const changing = await Todo.find({listId: req.list._id, completed: !req.body.completed})
+            const result = await Todo.updateMany(
+                {_id: {$in: changing.map(todo => todo._id)}, completed: !req.body.completed},
+                completion(req.body.completed, req.user)
+            )
+            log.info('Todos toggled', {listId: req.list.id, userId: req.user.id, completed: req.body.completed, count: result.modifiedCount})
+            await TodoActivity.record(req, req.body.completed ? 'completed' : 'reopened', changing, {details: {via: 'toggle all'}})
+            // Repeating todos that were just completed get their next occurrence
+            const repeating = req.body.completed ? changing.filter(todo => todo.recurrence) : []
+            for (const todo of repeating) await createNextOccurrence(req, todo)
+            // Bulk changes can touch todos on other pages, so clients re-fetch the list
+            const left = await notify(req.list, 'list:changed')
+            res.json({updated: result.modifiedCount, left})
+        }catch(err){
+            next(err)
+        }
+    },
+    clearCompleted: async (req, res, next)=>{
+        try{
+            assertWritable(req.list)
+            const completed = await Todo.find({listId: req.list._id, completed: true})
+            const count = await Todo.moveToTrash({_id: {$in: completed.map(todo => todo._id)}}, req.user)
+            log.info('Completed todos moved to trash', {listId: req.list.id, userId: req.user.id, count})
+            await TodoActivity.record(req, 'deleted', completed, {details: {via: 'clear completed'}})
+            const left = await notify(req.list, 'list:changed')
+            res.json({deleted: count, left})
+        }catch(err){
+            next(err)
+        }
+    },
+    // Deleting moves the todo to the user's trash; the page offers to undo
+    deleteTodo: async (req, res, next)=>{
+        try{
+            assertWritable(req.list)
+            const trashed = await Todo.moveToTrash({_id: req.todo._id}, req.user)
+            if (!trashed) throw new NotFoundError('Todo not found.')
+            log.info('Todo moved to trash', {todoId: req.todo.id, userId: req.user.id})
+            await TodoActivity.record(req, 'deleted', req.todo)
+            const left = await notify(req.list, 'todo:deleted', {todoId: req.todo._id})
+            res.json({deleted: req.todo._id, left})
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // TRASH
+    // =====
+    // Todos the user deleted, until they're restored, deleted for good,
+    // or purged after the retention period (see utils/trash.js)
+
+    // GET /todos/trash - the user's trash, in lists they can still see
+    getTrash: async (req, res, next)=>{
+        try{
+            const lists = await List.find(List.accessibleBy(req.user._id))
+            const todos = await Todo.findTrash(req.user, lists.map(list => list._id))
+            res.render('trash', {
+                title: 'Trash',
+                todos,
+                listNames: Object.fromEntries(lists.map(list => [list.id, list.name])),
+                purgeDate: trash.purgeDate,
+                retentionDays: trash.retentionDays()
             })
-            console.log('Marked Complete')
-            res.json('Marked Complete')
         }catch(err){
-            console.log(err)
+            next(err)
+        }
+    },
+    // PUT /todos/restore - {todoIdFromJSFile}; the Undo button after deleting
+    restoreTodo: async (req, res, next)=>{
+        try{
+            const { todo, left } = await restoreFromTrash(req)
+            res.json({todo: serializeTodo(todo), left})
+        }catch(err){
+            next(err)
         }
     },
-    markIncomplete: async (req, res)=>{
+    // POST /todos/trash/:todoId/restore - the trash page's Restore button
+    restoreFromTrashPage: async (req, res, next)=>{
         try{
-            await Todo.findOneAndUpdate({_id:req.body.todoIdFromJSFile},{
-                completed: false
+            const { todo } = await restoreFromTrash(req)
+            req.flash('success', {msg: `"${todo.todo}" was restored to ${req.list.name}.`})
+            res.redirect('/todos/trash')
+        }catch(err){
+            next(err)
+        }
+    },
+    // POST /todos/trash/:todoId/delete - delete one trashed todo for good
+    deleteForever: async (req, res, next)=>{
+        try{
+            await Todo.deleteOne({_id: req.todo._id})
+            log.info('Todo deleted from trash', {todoId: req.todo.id, userId: req.user.id})
+            req.flash('success', {msg: `"${req.todo.todo}" was deleted for good.`})
+            res.redirect('/todos/trash')
+        }catch(err){
+            next(err)
+        }
+    },
+    // POST /todos/trash/empty - delete everything in the user's trash for good
+    emptyTrash: async (req, res, next)=>{
+        try{
+            const { deletedCount } = await Todo.deleteMany({deletedBy: req.user._id, deletedAt: {$ne: null}})
+            log.info('Trash emptied', {userId: req.user.id, count: deletedCount})
+            req.flash('success', {msg: `Deleted ${deletedCount} todo${deletedCount === 1 ? '' : 's'} for good.`})
+            res.redirect('/todos/trash')
+        }catch(err){
+            next(err)
+        }
+    },
+
+    // JSON API (/api/v1/todos)
+    // ========================
+    // Same data as the EJS pages, but every response is a JSON document
+    // Errors are thrown as typed errors and rendered by middleware/errors.js
+    // req.list / req.todo are loaded and access-checked by middleware/auth.js
+    apiListTodos: async (req, res, next)=>{
+        try{
+            const options = parseListQuery(req.query)
+            const result = await Todo.findPage({...options, listId: req.list._id})
+            const itemsLeft = await Todo.countDocuments({listId: req.list._id, completed: false})
+            res.json({
+                listId: req.list._id,
+                todos: result.todos.map(serializeTodo),
+                left: itemsLeft,
+                pagination: {page: result.page, pages: result.pages, limit: result.limit, total: result.total}
             })
-            console.log('Marked Incomplete')
-            res.json('Marked Incomplete')
         }catch(err){
-            console.log(err)
+            next(err)
+        }
+    },
+    apiGetTodo: async (req, res, next)=>{
+        try{
+            res.json({todo: serializeTodo(req.todo)})
+        }catch(err){
+            next(err)
+        }
+    },
+    apiCreateTodo: async (req, res, next)=>{
+        try{
+            const { errors, values } = parseTodoInput(req.body)
+            if (errors.length) throw new ValidationError('Validation failed.', errors)
+            assertWritable(req.list)
+            if (values.completed !== undefined) Object.assign(values, completion(values.completed, req.user))
+            const rank = await Todo.nextRank(req.list._id, req.user.preferences.newTodoPosition)
+            const todo = await Todo.create({completed: false, ...values, rank, listId: req.list._id, userId: req.user.id})
+            log.info('Todo created', {todoId: todo.id, listId: req.list.id, userId: req.user.id})
+            await TodoActivity.record(req, 'created', todo)
+            await notify(req.list, 'todo:created', {todo: serializeTodo(todo)})
+            res.status(201).location(`/api/v1/todos/${todo._id}`).json({todo: serializeTodo(todo)})
+        }catch(err){
+            next(err)
+        }
+    },
+    // PATCH accepts an optional `version` taken from a previous response
+    // If the todo changed since then, the update is refused with 409 Conflict
+    apiUpdateTodo: async (req, res, next)=>{
+        try{
+            const { errors, values } = parseTodoInput(req.body, {partial: true, dueDate: req.todo.dueDate})
+            if (req.body.version !== undefined && !Number.isInteger(req.body.version)) {
+                errors.push({field: 'version', msg: 'Version must be an integer.'})
+            }
+            if (errors.length) throw new ValidationError('Validation failed.', errors)
+            assertWritable(req.list)
+            // Completing a completed todo (or reopening an open one) leaves completedAt/completedBy alone
+            if (values.completed === req.todo.completed) delete values.completed
+            if (values.completed !== undefined) Object.assign(values, completion(values.completed, req.user))
+
+            // Moving to another list needs editor access there too,
+            // and puts the todo at that list's top/bottom
+            let target = null
+            if (req.body.listId !== undefined) {
+                target = await List.findForUser(req.user._id, req.body.listId)
+                if (!target) throw new NotFoundError('List not found.')
+                if (!target.allows(req.user._id, 'editor')) throw new ForbiddenError('You need editor access to the target list.')
+                assertWritable(target)
+                values.listId = target._id
+                values.rank = await Todo.nextRank(target._id, req.user.preferences.newTodoPosition)
+            }
+
+            // Completing with {completeSubtasks: true} ticks off the open checklist items as well
+            const options = {new: true, runValidators: true}
+            if (req.body.completed === true && req.body.completeSubtasks === true && req.todo.subtasks.some(subtask => !subtask.completed)) {
+                const { set, arrayFilters } = checkOpenSubtasks()
+                Object.assign(values, set)
+                options.arrayFilters = arrayFilters
+            }
+
+            const query = {_id: req.todo._id}
+            if (req.body.version !== undefined) query.__v = req.body.version
+            // Someone else completing or reopening it in the meantime is a conflict too
+            if (values.completed !== undefined) query.completed = req.todo.completed
+            const todo = await Todo.findOneAndUpdate(query, {$set: values}, options)  // bumps __v (see models/Todo.js)
+            if (todo) {
+                await recordEdit(req, todo)
+                if (values.completed !== undefined && values.completed !== req.todo.completed) {
+                    await TodoActivity.record(req, values.completed ? 'completed' : 'reopened', todo)
+                }
+                const list = target || req.list
+                if (target && !target._id.equals(req.list._id)) {
+                    await notify(req.list, 'todo:deleted', {todoId: todo._id})
+                    await notify(target, 'todo:created', {todo: serializeTodo(todo)})
+                } else {
+                    await notify(req.list, 'todo:updated', {todo: serializeTodo(todo)})
+                }
+                // Completing a repeating todo through the API creates its next occurrence too
+                const nextTodo = values.completed && !req.todo.completed ? await createNextOccurrence(req, todo) : null
+                if (nextTodo) await notify(list, 'todo:created', {todo: serializeTodo(nextTodo)})
+                return res.json({todo: serializeTodo(todo), next: nextTodo && serializeTodo(nextTodo)})
+            }
+
+            // Nothing matched: either the todo is gone or the version is stale
+            const exists = await Todo.exists({_id: req.todo._id})
+            if (exists) throw new ConflictError('Todo was modified by another request.')
+            throw new NotFoundError('Todo not found.')
+        }catch(err){
+            next(err)
+        }
+    },
+    // Moves the todo to the trash, like the page's Delete button
+    apiDeleteTodo: async (req, res, next)=>{
+        try{
+            assertWritable(req.list)
+            const trashed = await Todo.moveToTrash({_id: req.todo._id}, req.user)
+            if (!trashed) throw new NotFoundError('Todo not found.')
+            log.info('Todo moved to trash', {todoId: req.todo.id, userId: req.user.id})
+            await TodoActivity.record(req, 'deleted', req.todo)
+            await notify(req.list, 'todo:deleted', {todoId: req.todo._id})
+            res.sendStatus(204)
+        }catch(err){
+            next(err)
         }
     },
-    deleteTodo: async (req, res)=>{
-        console.log(req.body.todoIdFromJSFile)
+    // POST /api/v1/todos/:todoId/restore - take a todo the token's user deleted out of the trash
+    apiRestoreTodo: async (req, res, next)=>{
         try{
-            await Todo.findOneAndDelete({_id:req.body.todoIdFromJSFile})
-            console.log('Deleted Todo')
-            res.json('Deleted It')
+            const { todo } = await restoreFromTrash(req)
+            res.json({todo: serializeTodo(todo)})
         }catch(err){
-            console.log(err)
+            next(err)
         }
     }
-}    
\ No newline at end of file
+}
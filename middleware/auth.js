@@ -3,7 +3,60 @@
 // This middleware provides route protection for authenticated users
 // It's used to ensure only logged-in users can access certain routes
 
+const mongoose = require('mongoose')
+const passport = require('passport')
+const List = require('../models/List')
+const Todo = require('../models/Todo')
+const { wantsJson } = require('../utils/negotiate')
+const { UnauthorizedError, ValidationError, NotFoundError, ForbiddenError } = require('../utils/errors')
+
+// Where a route carries the list/todo id it acts on
+// (URL params for /lists/:listId and the API, body/query for the EJS page and its fetch calls)
+const listIdFrom = (req) => req.params.listId || (req.body && req.body.listId) || req.query.list
+const todoIdFrom = (req) => req.params.todoId || (req.body && req.body.todoIdFromJSFile)
+
+// Lists the user can't see answer 404 (so ids don't leak); too-low roles answer 403
+const checkRole = (req, list, role) => {
+  if (!list || !list.roleOf(req.user._id)) throw new NotFoundError('List not found.')
+  if (!list.allows(req.user._id, role)) throw new ForbiddenError(`You need ${role} access to this list to do that.`)
+  req.list = list
+  req.listRole = list.roleOf(req.user._id)
+}
+
+// Logged in with a password, but the account has 2FA and this session hasn't passed it yet
+// (postLogin sets secondFactorPassed=false; postTwoFactor sets it to true)
+// API tokens are created from a fully logged-in session, so they skip this check
+const needsSecondFactor = (req) => Boolean(
+  req.user.twoFactor && req.user.twoFactor.enabled &&
+  !(req.authInfo && req.authInfo.via === 'token') &&
+  !req.session.secondFactorPassed
+)
+
+// True when the request carries an `Authorization: Bearer ...` header
+const hasBearerToken = (req) => /^Bearer\s/i.test(req.get('Authorization') || '')
+
 module.exports = {
+    needsSecondFactor,
+
+    // MIDDLEWARE: Log in with a personal API token
+    // ============================================
+    // Requests with `Authorization: Bearer <token>` are authenticated by the
+    // token alone (the session cookie is ignored); others pass through to ensureAuth
+    // Read-only tokens may only make GET requests
+    authenticateToken: function (req, res, next) {
+      if (!hasBearerToken(req)) return next()
+      passport.authenticate('bearer', { session: false }, (err, user, info) => {
+        if (err) return next(err)
+        if (!user) return next(new UnauthorizedError('Invalid or revoked API token.'))
+        if (info.scope !== 'write' && !['GET', 'HEAD'].includes(req.method)) {
+          return next(new ForbiddenError('This API token is read-only.'))
+        }
+        req.user = user
+        req.authInfo = info
+        next()
+      })(req, res, next)
+    },
+
     // MIDDLEWARE: Ensure user is authenticated
     // ========================================
     // This function checks if a user is logged in before allowing access to protected routes
@@ -12,9 +65,16 @@ module.exports = {
     ensureAuth: function (req, res, next) {
       // req.isAuthenticated() is a Passport.js method that returns true if user is logged in
       // This method checks if there's a valid user session and the user is deserialized
-      if (req.isAuthenticated()) {
+      if (req.isAuthenticated() && !needsSecondFactor(req)) {
         // User is authenticated - proceed to the next middleware/route handler
         return next()
+      } else if (wantsJson(req)) {
+        // API and fetch() callers can't follow a redirect to an HTML page
+        // Hand a 401 to the error middleware, which answers with the JSON error envelope
+        next(new UnauthorizedError(req.isAuthenticated() ? 'Two-factor authentication required.' : undefined))
+      } else if (req.isAuthenticated()) {
+        // Password accepted, but the second factor is still missing
+        res.redirect('/login/2fa')
       } else {
         // User is NOT authenticated - redirect to home/login page
         // This prevents unauthorized users from accessing protected content
@@ -22,6 +82,73 @@ module.exports = {
       }
     },
 
+    // MIDDLEWARE: Ensure the user has confirmed their email address
+    // ============================================================
+    // Unverified accounts can use their own lists, but features that reach
+    // other people (like sharing) wait until the emailed link is opened
+    // Use AFTER ensureAuth
+    ensureVerified: function (req, res, next) {
+      if (req.user.emailVerified) return next()
+      if (wantsJson(req)) return next(new ForbiddenError('Please confirm your email address first.'))
+      req.flash('errors', { msg: 'Please confirm your email address first. Check your inbox or resend the link below.' })
+      res.redirect('/todos')
+    },
+
+    // MIDDLEWARE: Ensure the user is an administrator
+    // ===============================================
+    // Guards the admin console (routes/admin.js). Use AFTER ensureAuth
+    // Everyone else gets a 403, as JSON or the error page
+    ensureAdmin: function (req, res, next) {
+      if (req.user.isAdmin()) return next()
+      next(new ForbiddenError('This page is for administrators only.'))
+    },
+
+    // MIDDLEWARE FACTORY: Require a role on the list the request targets
+    // ==================================================================
+    // Use AFTER ensureAuth. Sets req.list and req.listRole for the controller
+    // No list id means the user's own default list (where they're always owner)
+    // Example: router.post('/createTodo', ensureAuth, requireListRole('editor'), controller.method)
+    requireListRole: function (role) {
+      return async (req, res, next) => {
+        try {
+          const list = await List.findForUser(req.user._id, listIdFrom(req))
+          checkRole(req, list, role)
+          next()
+        } catch (err) {
+          next(err)
+        }
+      }
+    },
+
+    // MIDDLEWARE FACTORY: Require a role on the list that owns the target todo
+    // ========================================================================
+    // Use AFTER ensureAuth. Sets req.todo, req.list and req.listRole
+    // Trashed todos count as missing, except with { trashed: true } (the trash
+    // routes), which only finds todos in the user's own trash
+    requireTodoRole: function (role, { trashed = false } = {}) {
+      return async (req, res, next) => {
+        try {
+          const todoId = todoIdFrom(req)
+          if (!mongoose.Types.ObjectId.isValid(todoId)) {
+            // The API reports malformed ids as 400, the page's fetch calls as "not found"
+            if (req.params.todoId !== undefined) throw new ValidationError('Invalid todo id.', [{ field: 'id', msg: 'Invalid todo id.' }])
+            throw new NotFoundError('Todo not found.')
+          }
+          const todo = trashed
+            ? await Todo.findOne({ _id: todoId, deletedAt: { $ne: null }, deletedBy: req.user._id })
+            : await Todo.findById(todoId)
+          const list = todo && await List.findById(todo.listId)
+          // A todo in a list the user can't see is reported as missing, not forbidden
+          if (!list || !list.roleOf(req.user._id)) throw new NotFoundError('Todo not found.')
+          checkRole(req, list, role)
+          req.todo = todo
+          next()
+        } catch (err) {
+          next(err)
+        }
+      }
+    },
+
     // MIDDLEWARE: Ensure user is NOT authenticated (guest access only)
     // ===============================================================
     // This middleware is used for routes that should only be accessible to non-logged-in users
@@ -52,10 +179,16 @@ module.exports = {
      - Request proceeds to the route handler
      
   3. If not authenticated:
-     - User is redirected to login page
+     - Browsers are redirected to login page
+     - API/XHR/JSON requests get a 401 JSON response instead
      - Original route is not executed
      
-  4. This creates a seamless authentication flow where:
+  4. Authorization on lists (requireListRole / requireTodoRole):
+     - Runs after ensureAuth and looks up the list (directly or via the todo)
+     - viewer < editor < owner - the route names the minimum role it needs
+     - Lists the user isn't a member of answer 404, too-low roles answer 403
+
+  5. This creates a seamless authentication flow where:
      - Authenticated users see protected content
      - Unauthenticated users are sent to login
      - No protected data is exposed to unauthorized users
@@ -0,0 +1,46 @@
+// CSRF PROTECTION MIDDLEWARE
+// ==========================
+// Every session gets a random token. Pages put it in their forms (a hidden
+// `_csrf` field) and in a <meta name="csrf-token"> tag for fetch() calls,
+// which send it back in the `X-CSRF-Token` header
+// Any POST/PUT/PATCH/DELETE without the matching token is refused, so other
+// sites can't make a logged-in browser change anything
+
+const crypto = require('crypto')
+const { wantsJson } = require('../utils/negotiate')
+const { ForbiddenError } = require('../utils/errors')
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+// Compare in constant time so the token can't be guessed byte by byte
+const matches = (expected, actual) => {
+  if (typeof actual !== 'string' || actual.length !== expected.length) return false
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual))
+}
+
+module.exports = function csrf(req, res, next) {
+  // Requests authenticated by an API token don't use the session cookie, so there's
+  // nothing to forge. Only a token that was actually accepted counts (authenticateToken
+  // runs before this on /api/v1) - merely sending a Bearer header exempts nothing
+  if (req.authInfo && req.authInfo.via === 'token') return next()
+
+  // Create the token lazily - sessions are regenerated on login/logout,
+  // which gives the new session a new token
+  if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString('hex')
+  res.locals.csrfToken = req.session.csrfToken
+
+  if (SAFE_METHODS.includes(req.method)) return next()
+
+  // File uploads are parsed after this check (see middleware/upload.js), so their
+  // forms put the token in the query string instead of a hidden field
+  const fromQuery = req.is('multipart/form-data') ? req.query._csrf : undefined
+  const sent = (req.body && req.body._csrf) || req.get('X-CSRF-Token') || fromQuery
+  if (matches(req.session.csrfToken, sent)) return next()
+
+  if (wantsJson(req)) return next(new ForbiddenError('Invalid or missing CSRF token. Reload the page and try again.'))
+
+  // Usually a form left open across a login/logout - send them back to try again
+  // (not to the Referer, which may be the attacking site)
+  req.flash('errors', { msg: 'Your form expired. Please try again.' })
+  res.redirect(req.user ? '/todos' : '/login')
+}
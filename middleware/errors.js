@@ -0,0 +1,68 @@
+// ERROR HANDLING MIDDLEWARE
+// =========================
+// These must be registered in server.js AFTER all routes
+// notFound turns unmatched URLs into a NotFoundError
+// errorHandler is the single place where errors become responses
+
+const mongoose = require('mongoose')
+const log = require('../config/logger')
+const { AppError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors')
+const { wantsJson } = require('../utils/negotiate')
+
+// Translate errors raised by mongoose/MongoDB into our own error types
+const normalize = (err) => {
+  if (err instanceof AppError) return err
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map(e => ({ field: e.path, msg: e.message }))
+    return new ValidationError('Validation failed.', details)
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid value for ${err.path}.`, [{ field: err.path, msg: 'Invalid value.' }])
+  }
+  if (err && err.code === 11000) {
+    return new ConflictError('A record with that value already exists.')
+  }
+  // Errors from body-parser etc. carry their own 4xx status
+  if (err && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, { status: err.status, code: err.type || 'BAD_REQUEST' })
+  }
+  return new AppError('Something went wrong.')
+}
+
+module.exports = {
+  notFound: (req, res, next) => {
+    next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl}`))
+  },
+
+  // Express recognizes error middleware by its four arguments, so keep `next`
+  errorHandler: (err, req, res, next) => {
+    const appErr = normalize(err)
+
+    if (appErr.status >= 500) {
+      log.error('Unhandled error', { err, method: req.method, url: req.originalUrl })
+    } else {
+      log.warn(appErr.message, { code: appErr.code, status: appErr.status, method: req.method, url: req.originalUrl })
+    }
+
+    // Headers already went out (e.g. a streamed response) - let Express close the connection
+    if (res.headersSent) return next(err)
+
+    res.status(appErr.status)
+
+    // JSON ERROR ENVELOPE
+    // ===================
+    // { "error": { "code": "NOT_FOUND", "message": "Todo not found.", "details": [...] } }
+    if (wantsJson(req)) {
+      const body = { code: appErr.code, message: appErr.message }
+      if (appErr.details) body.details = appErr.details
+      return res.json({ error: body })
+    }
+
+    // RENDERED ERROR PAGE (browsers)
+    res.render('error', {
+      title: 'Error',
+      status: appErr.status,
+      message: appErr.message
+    })
+  }
+}
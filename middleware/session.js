@@ -0,0 +1,30 @@
+// SESSION TRACKING MIDDLEWARE
+// ===========================
+// Records where each logged-in session is used from, for the devices page
+// (GET /account/sessions). Runs after passport.session(), so req.user is set
+
+// lastSeenAt is only rewritten this often - every change makes express-session
+// save the session again
+const LAST_SEEN_INTERVAL = 60 * 1000
+
+// User agents can be arbitrarily long; keep enough to recognise the browser
+const MAX_USER_AGENT_LENGTH = 300
+
+module.exports = function trackSession(req, res, next) {
+  if (!req.user) return next()
+  const now = new Date()
+  const device = req.session.device
+  if (!device) {
+    // First request of a new login (logIn regenerates the session, clearing this)
+    req.session.device = {
+      createdAt: now,
+      lastSeenAt: now,
+      ip: req.ip,
+      userAgent: (req.get('User-Agent') || '').slice(0, MAX_USER_AGENT_LENGTH)
+    }
+  } else if (now - new Date(device.lastSeenAt) > LAST_SEEN_INTERVAL) {
+    device.lastSeenAt = now
+    device.ip = req.ip
+  }
+  next()
+}
@@ -0,0 +1,32 @@
+// FILE UPLOAD MIDDLEWARE
+// ======================
+// Parses multipart/form-data for the routes that accept a file
+// (only the todo import so far). Files are kept in memory: they're small
+// and parsed right away, never stored
+// Mounted on the route after ensureAuth, so anonymous requests are never
+// buffered. The CSRF check runs before it, so the import form sends its
+// token in the query string (see middleware/csrf.js)
+
+const multer = require('multer')
+const { ValidationError } = require('../utils/errors')
+
+const MAX_IMPORT_BYTES = 1024 * 1024 // 1 MB
+
+const importParser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 }
+}).single('file')
+
+// The uploaded file ends up in req.file, the other fields in req.body
+// multer's own errors (file too large, unexpected field) become 400s
+const importFile = (req, res, next) => {
+  importParser(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const msg = err.code === 'LIMIT_FILE_SIZE' ? 'The file is larger than 1 MB.' : 'Please upload a single file.'
+      return next(new ValidationError(msg, [{ field: 'file', msg }]))
+    }
+    next(err)
+  })
+}
+
+module.exports = { importFile, MAX_IMPORT_BYTES }
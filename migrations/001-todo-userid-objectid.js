@@ -0,0 +1,11 @@
+// Todo.userId used to be a plain string - convert it to an ObjectId
+// so it matches the schema (ref: 'User') and its index
+
+module.exports = {
+  up: async (db) => {
+    await db.collection('todos').updateMany(
+      { userId: { $type: 'string' } },
+      [{ $set: { userId: { $toObjectId: '$userId' } } }]
+    )
+  }
+}
@@ -0,0 +1,20 @@
+// Give existing todos a manual-order rank, oldest first, per user
+// (new todos get theirs from Todo.nextRank)
+
+const RANK_GAP = 1024
+
+module.exports = {
+  up: async (db) => {
+    const todos = db.collection('todos')
+    const userIds = await todos.distinct('userId', { rank: { $exists: false } })
+    for (const userId of userIds) {
+      const ids = await todos.find({ userId, rank: { $exists: false } }).sort({ _id: 1 }).project({ _id: 1 }).toArray()
+      if (!ids.length) continue
+      const last = await todos.find({ userId, rank: { $exists: true } }).sort({ rank: -1 }).limit(1).next()
+      const start = last ? last.rank + RANK_GAP : 0
+      await todos.bulkWrite(ids.map((todo, i) => ({
+        updateOne: { filter: { _id: todo._id }, update: { $set: { rank: start + i * RANK_GAP } } }
+      })))
+    }
+  }
+}
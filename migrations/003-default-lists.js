@@ -0,0 +1,19 @@
+// Todos now belong to a list: give every user with todos a default list
+// ("My Todos", same as List.findOrCreateDefault) and move their todos into it
+
+module.exports = {
+  up: async (db) => {
+    const todos = db.collection('todos')
+    const lists = db.collection('lists')
+    const userIds = await todos.distinct('userId', { listId: { $exists: false } })
+    for (const userId of userIds) {
+      const now = new Date()
+      const { value: list } = await lists.findOneAndUpdate(
+        { userId, isDefault: true },
+        { $setOnInsert: { name: 'My Todos', archived: false, createdAt: now, updatedAt: now, __v: 0 } },
+        { upsert: true, returnDocument: 'after' }
+      )
+      await todos.updateMany({ userId, listId: { $exists: false } }, { $set: { listId: list._id } })
+    }
+  }
+}
@@ -0,0 +1,11 @@
+// Email verification was added after people had already signed up: treat those
+// accounts as verified rather than locking them out of sharing
+
+module.exports = {
+  up: async (db) => {
+    await db.collection('users').updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    )
+  }
+}
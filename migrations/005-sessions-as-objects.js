@@ -0,0 +1,20 @@
+// connect-mongo now stores sessions as objects instead of JSON strings
+// (stringify: false) so they can be found by user. Convert the existing ones
+// so nobody is logged out by the upgrade
+
+module.exports = {
+  up: async (db) => {
+    const sessions = db.collection('sessions')
+    const cursor = sessions.find({ session: { $type: 'string' } })
+    for await (const doc of cursor) {
+      let session
+      try {
+        session = JSON.parse(doc.session)
+      } catch (err) {
+        await sessions.deleteOne({ _id: doc._id })
+        continue
+      }
+      await sessions.updateOne({ _id: doc._id }, { $set: { session } })
+    }
+  }
+}
@@ -0,0 +1,73 @@
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+
+// Scopes: read only allows GET requests; write allows everything the user can do
+const SCOPES = ['read', 'write']
+
+// Prefix that makes tokens easy to recognise (and to spot in leaked code)
+const TOKEN_PREFIX = 'todo_'
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+// A personal access token for scripts and the CLI (Authorization: Bearer <token>)
+// The token itself is shown once when it's created; only its SHA-256 hash is stored
+const ApiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  scope: {
+    type: String,
+    enum: SCOPES,
+    default: 'read'
+  },
+  hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The first characters of the token, so users can tell their tokens apart
+  hint: String,
+  lastUsedAt: Date
+}, { timestamps: true })
+
+// Create a token for the user and resolve with { apiToken, token } -
+// `token` is the plain text, to be shown to the user once
+ApiTokenSchema.statics.issue = async function (userId, { name, scope }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex')
+  const apiToken = await this.create({
+    userId,
+    name,
+    scope,
+    hash: hashToken(token),
+    hint: token.slice(0, TOKEN_PREFIX.length + 6)
+  })
+  return { apiToken, token }
+}
+
+// Find the token document for a plain-text token, or null
+ApiTokenSchema.statics.findByToken = function (token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return Promise.resolve(null)
+  return this.findOne({ hash: hashToken(token) })
+}
+
+// lastUsedAt is only rewritten this often, so busy scripts don't write on every call
+const LAST_USED_INTERVAL = 60 * 1000
+
+ApiTokenSchema.methods.touch = function () {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < LAST_USED_INTERVAL) return Promise.resolve(this)
+  this.lastUsedAt = new Date()
+  return this.save()
+}
+
+ApiTokenSchema.statics.SCOPES = SCOPES
+
+module.exports = mongoose.model('ApiToken', ApiTokenSchema)
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose')
+const appendOnly = require('../utils/appendOnly')
+
+// ADMIN AUDIT LOG
+// ===============
+// One entry per admin action (lock, unlock, force password reset, delete) and
+// per role change made with scripts/make-admin.js
+// Entries are append-only (see utils/appendOnly.js), so the admin console
+// can't be used to cover its tracks
+const AuditLogSchema = new mongoose.Schema({
+  // Empty for changes made from the command line
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Copied so the entry stays readable after the account is deleted
+  actorName: String,
+  action: {
+    type: String,
+    required: true
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  targetName: String,
+  details: mongoose.Schema.Types.Mixed,
+  ip: String
+}, { timestamps: { createdAt: true, updatedAt: false } })
+
+AuditLogSchema.index({ createdAt: -1 })
+
+AuditLogSchema.plugin(appendOnly, { message: 'Audit log entries cannot be changed or deleted.' })
+
+// Record an action by the logged-in admin (`req.user`) against `target` (a user, optional)
+AuditLogSchema.statics.record = function (req, action, target, details) {
+  return this.create({
+    actorId: req.user._id,
+    actorName: req.user.userName || req.user.email,
+    action,
+    targetUserId: target ? target._id : undefined,
+    targetName: target ? (target.userName || target.email) : undefined,
+    details,
+    ip: req.ip
+  })
+}
+
+// Record a change made by a script run by someone with database access
+AuditLogSchema.statics.recordFromCommandLine = function (action, target, details) {
+  return this.create({
+    actorName: 'command line',
+    action,
+    targetUserId: target._id,
+    targetName: target.userName || target.email,
+    details
+  })
+}
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema)
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose')
+
+// Roles in increasing order of power
+// viewer: read todos | editor: also add/change/delete todos | owner: also rename, archive, delete and share the list
+const ROLES = ['viewer', 'editor', 'owner']
+
+// A named todo list ("Work", "Groceries", ...) created by one user (userId)
+// and optionally shared with other users through `members`
+// Every user has exactly one default list, which can be renamed but not
+// archived or deleted - todos created without a list land there
+const ListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60,
+  },
+  // The creator - always an owner, can't be removed from the list
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  members: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ROLES, required: true },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true })
+
+// At most one default list per user
+ListSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { isDefault: true } })
+ListSchema.index({ 'members.userId': 1 })
+
+const DEFAULT_LIST_NAME = 'My Todos'
+
+// ROLE CHECKS
+// ===========
+
+// The user's role on this list, or null if they can't see it
+ListSchema.methods.roleOf = function (userId) {
+  if (this.userId.equals(userId)) return 'owner'
+  const member = this.members.find(m => m.userId.equals(userId))
+  return member ? member.role : null
+}
+
+// True if the user's role is at least `role`
+ListSchema.methods.allows = function (userId, role) {
+  return ROLES.indexOf(this.roleOf(userId)) >= ROLES.indexOf(role)
+}
+
+// Everyone on the list with their role, creator first
+// Resolves with [{ userId, userName, email, role, isCreator, addedAt }]
+ListSchema.methods.memberDetails = async function () {
+  const ids = [this.userId, ...this.members.map(m => m.userId)]
+  const users = await mongoose.model('User').find({ _id: { $in: ids } }).select('userName email')
+  const byId = Object.fromEntries(users.map(u => [u.id, u]))
+  const row = (userId, role, addedAt) => ({
+    userId,
+    userName: byId[userId] ? byId[userId].userName : null,
+    email: byId[userId] ? byId[userId].email : null,
+    role,
+    isCreator: this.userId.equals(userId),
+    addedAt
+  })
+  return [row(this.userId, 'owner', this.createdAt), ...this.members.map(m => row(m.userId, m.role, m.addedAt))]
+}
+
+// Query matching every list the user created or was added to
+ListSchema.statics.accessibleBy = function (userId) {
+  return { $or: [{ userId }, { 'members.userId': userId }] }
+}
+
+// Find the user's default list, creating it on first use
+ListSchema.statics.findOrCreateDefault = async function (userId) {
+  return this.findOneAndUpdate(
+    { userId, isDefault: true },
+    { $setOnInsert: { name: DEFAULT_LIST_NAME, archived: false } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  )
+}
+
+// Resolve a list id sent by the client to a list the user can see
+// No id means the user's own default list; resolves with null otherwise
+ListSchema.statics.findForUser = async function (userId, listId) {
+  if (!listId) return this.findOrCreateDefault(userId)
+  if (!mongoose.Types.ObjectId.isValid(listId)) return null
+  return this.findOne({ _id: listId, ...this.accessibleBy(userId) })
+}
+
+ListSchema.statics.ROLES = ROLES
+ListSchema.statics.DEFAULT_LIST_NAME = DEFAULT_LIST_NAME
+
+module.exports = mongoose.model('List', ListSchema)
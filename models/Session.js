@@ -0,0 +1,71 @@
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const realtime = require('../utils/realtime')
+
+// Read-only view of the `sessions` collection that connect-mongo writes
+// (see server.js). express-session owns these documents - we only look them
+// up by user and delete them to sign people out
+// The session is stored as an object (stringify: false) so it can be queried
+const SessionSchema = new mongoose.Schema({
+  _id: String,          // the session ID
+  expires: Date,
+  session: mongoose.Schema.Types.Mixed
+}, { collection: 'sessions', versionKey: false, strict: false })
+
+SessionSchema.index({ 'session.passport.user': 1 })
+
+// Query matching every session logged in as the user
+// (passport.serializeUser stores the user id as a string)
+SessionSchema.statics.forUser = function (userId) {
+  return { 'session.passport.user': String(userId) }
+}
+
+// The session ID is the cookie's secret, so pages and forms only ever see a hash of it
+SessionSchema.statics.publicId = function (sessionId) {
+  return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 24)
+}
+
+// The user's unexpired sessions, most recently used first
+// Resolves with [{ id, current, createdAt, lastSeenAt, ip, userAgent }]
+// (device details are missing for sessions from before they were recorded)
+SessionSchema.statics.listForUser = async function (userId, currentSessionId) {
+  const sessions = await this.find({ ...this.forUser(userId), expires: { $gt: new Date() } }).lean()
+  return sessions
+    .map(doc => {
+      const device = (doc.session && doc.session.device) || {}
+      return {
+        id: this.publicId(doc._id),
+        current: doc._id === currentSessionId,
+        createdAt: device.createdAt || null,
+        lastSeenAt: device.lastSeenAt || null,
+        ip: device.ip || null,
+        userAgent: device.userAgent || null
+      }
+    })
+    .sort((a, b) => b.current - a.current || (b.lastSeenAt || 0) - (a.lastSeenAt || 0))
+}
+
+// Sign out one of the user's sessions by its public id; resolves true if one was found
+// Deleting it from the store means its cookie no longer loads a logged-in session,
+// and its open /events streams are ended so they stop receiving changes
+SessionSchema.statics.revokeForUser = async function (userId, publicId) {
+  const sessions = await this.find(this.forUser(userId)).select('_id').lean()
+  const match = sessions.find(doc => this.publicId(doc._id) === publicId)
+  if (!match) return false
+  await this.deleteOne({ _id: match._id })
+  realtime.endStreams(userId, { sessionIds: [match._id] })
+  return true
+}
+
+// Sign out every session of the user except `keepSessionId` (pass null to end them all)
+// Used for password changes/resets, admin locks and account deletion
+// Resolves with the number of sessions ended
+SessionSchema.statics.revokeAllForUser = async function (userId, keepSessionId = null) {
+  const query = this.forUser(userId)
+  if (keepSessionId) query._id = { $ne: keepSessionId }
+  const { deletedCount } = await this.deleteMany(query)
+  realtime.endStreams(userId, { except: keepSessionId })
+  return deletedCount
+}
+
+module.exports = mongoose.model('Session', SessionSchema)
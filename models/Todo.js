@@ -1,18 +1,389 @@
 const mongoose = require('mongoose')
+const { escapeRegExp } = require('../utils/regexp')
+const { FREQUENCIES, nextOccurrence } = require('../utils/recurrence')
+
+// Priority is stored as a number so it sorts naturally (higher = more urgent)
+// The labels are what forms and the JSON API use
+const PRIORITIES = ['none', 'low', 'medium', 'high']
+
+const MAX_TAGS = 10
+const MAX_SUBTASKS = 50
+
+// Manual ordering uses fractional ranks: a moved todo gets the midpoint of
+// its new neighbours, so a drag only ever updates one document
+// New todos are placed RANK_GAP above/below the current first/last todo
+const RANK_GAP = 1024
+// When two neighbours get closer than this, the list is renumbered
+const MIN_RANK_GAP = 1e-6
+
+// How a todo repeats - validated and explained in utils/recurrence.js
+const RecurrenceSchema = new mongoose.Schema({
+  frequency: { type: String, enum: FREQUENCIES, required: true },
+  interval: { type: Number, min: 1 },                  // days, for 'interval'
+  weekdays: { type: [{ type: Number, min: 0, max: 6 }], default: undefined },  // for 'weekly'
+  dayOfMonth: { type: Number, min: 1, max: 31 },       // for 'monthly'
+  endDate: Date                                        // no occurrences after this day
+}, { _id: false })
+
+// One step of a todo's checklist; the array order is the order they're shown in
+const SubtaskSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 280
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+})
 
 const TodoSchema = new mongoose.Schema({
   todo: {
     type: String,
     required: true,
+    trim: true,
+    maxlength: 280,
   },
   completed: {
     type: Boolean,
     required: true,
   },
-  userId: {
+  // Set whenever `completed` flips to true, cleared when it flips back
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Who ticked it off - set by the controllers alongside `completed`
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  priority: {
+    type: Number,
+    min: 0,
+    max: PRIORITIES.length - 1,
+    default: 0
+  },
+  notes: {
     type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  tags: {
+    type: [{ type: String, trim: true, lowercase: true, maxlength: 30 }],
+    validate: [tags => tags.length <= MAX_TAGS, `A todo can have at most ${MAX_TAGS} tags.`]
+  },
+  // Position in the user's manually ordered list (lower = higher up)
+  rank: {
+    type: Number,
+    default: 0
+  },
+  subtasks: {
+    type: [SubtaskSchema],
+    validate: [subtasks => subtasks.length <= MAX_SUBTASKS, `A todo can have at most ${MAX_SUBTASKS} subtasks.`]
+  },
+  // Set for repeating todos; each occurrence carries a copy of the rule
+  recurrence: {
+    type: RecurrenceSchema,
+    default: null
+  },
+  // The occurrence created when this one was completed, so un-completing
+  // and completing it again doesn't create a second one
+  nextOccurrenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    default: null
+  },
+  // The user who created the todo (access is decided by the list, see models/List.js)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The list this todo belongs to (see models/List.js)
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
     required: true
+  },
+  // Set when the todo is moved to the trash (see TRASH below), null otherwise
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Whose trash it's in
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
+}, { timestamps: true }) // adds createdAt / updatedAt
+
+TodoSchema.index({ listId: 1, rank: 1 })
+TodoSchema.index({ deletedBy: 1, deletedAt: -1 })  // the trash page
+TodoSchema.index({ deletedAt: 1 })                 // purging
+
+// HIDE TRASHED TODOS
+// ==================
+// Every find/count/update leaves trashed todos out, unless the query
+// mentions deletedAt itself (the trash page and restore do)
+// Deletes are left alone, so deleting a list or account removes its trash too
+// Aggregations don't run these hooks - findPage and countLeftByList match deletedAt: null themselves
+function hideTrashed(next) {
+  if (!('deletedAt' in this.getFilter())) this.where({ deletedAt: null })
+  next()
+}
+TodoSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'], hideTrashed)
+
+// KEEP completedAt IN SYNC WITH completed
+// ========================================
+// Covers Todo.create()/save() ...
+TodoSchema.pre('save', function (next) {
+  if (this.isModified('completed')) this.completedAt = this.completed ? new Date() : null
+  next()
+})
+
+// ... and findOneAndUpdate()/updateMany(), which skip save middleware
+function syncCompletedAt(next) {
+  const update = this.getUpdate() || {}
+  const set = update.$set || update
+  if (set.completed === true) this.set({ completedAt: new Date() })
+  if (set.completed === false) this.set({ completedAt: null })
+  next()
+}
+TodoSchema.pre('findOneAndUpdate', syncCompletedAt)
+TodoSchema.pre('updateMany', syncCompletedAt)
+
+// BUMP THE VERSION ON EVERY UPDATE
+// ================================
+// The API's `version` is __v (see apiUpdateTodo), so any change - from the page,
+// the API, a move, the trash - must bump it, or a PATCH with a stale version would
+// silently overwrite it. Updates that set __v themselves are left alone
+function bumpVersion(next) {
+  const update = this.getUpdate() || {}
+  const setsVersion = [update, update.$set, update.$inc].some(fields => fields && '__v' in fields)
+  if (!setsVersion) this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } })
+  next()
+}
+TodoSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], bumpVersion)
+
+TodoSchema.virtual('priorityLabel').get(function () {
+  return PRIORITIES[this.priority] || PRIORITIES[0]
+})
+
+// "3/5" style checklist progress; null when the todo has no subtasks
+TodoSchema.virtual('subtaskProgress').get(function () {
+  if (!this.subtasks || !this.subtasks.length) return null
+  return { done: this.subtasks.filter(subtask => subtask.completed).length, total: this.subtasks.length }
+})
+
+TodoSchema.virtual('isOverdue').get(function () {
+  return Boolean(this.dueDate && !this.completed && this.dueDate < new Date())
 })
 
+// ONE PAGE OF A USER'S TODOS
+// ==========================
+// `options` comes from utils/listQuery.js (status, q, sort, order, page, limit)
+// plus the listId of the list being shown - access to it is checked by the caller
+// Uses an aggregation so todos without a due date sort after dated ones
+// Resolves with { todos, total, page, pages, limit }
+TodoSchema.statics.findPage = async function (options) {
+  const match = { listId: new mongoose.Types.ObjectId(options.listId), deletedAt: null }
+  if (options.status === 'active') match.completed = false
+  if (options.status === 'completed') match.completed = true
+  if (options.q) match.todo = { $regex: escapeRegExp(options.q), $options: 'i' }
+
+  const direction = options.order === 'asc' ? 1 : -1
+  const sort = options.sort === 'dueDate'
+    ? { noDueDate: 1, dueDate: direction, _id: -1 }
+    : { [options.sort]: direction, _id: -1 }
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $addFields: { noDueDate: { $cond: [{ $ifNull: ['$dueDate', false] }, 0, 1] } } },
+    { $sort: sort },
+    { $facet: {
+      todos: [{ $skip: (options.page - 1) * options.limit }, { $limit: options.limit }, { $project: { noDueDate: 0 } }],
+      total: [{ $count: 'count' }]
+    } }
+  ])
+
+  const total = result.total.length ? result.total[0].count : 0
+  return {
+    todos: result.todos.map(doc => this.hydrate(doc)),
+    total,
+    page: options.page,
+    pages: Math.max(1, Math.ceil(total / options.limit)),
+    limit: options.limit
+  }
+}
+
+// Number of unfinished todos in each of the given lists, as { listId: count }
+TodoSchema.statics.countLeftByList = async function (listIds) {
+  const rows = await this.aggregate([
+    { $match: { listId: { $in: listIds.map(id => new mongoose.Types.ObjectId(id)) }, completed: false, deletedAt: null } },
+    { $group: { _id: '$listId', count: { $sum: 1 } } }
+  ])
+  return Object.fromEntries(rows.map(row => [String(row._id), row.count]))
+}
+
+// MANUAL ORDERING
+// ===============
+
+// Ranks are only compared within one list
+
+// Rank for a new todo at the 'top' or 'bottom' of a list
+TodoSchema.statics.nextRank = async function (listId, position) {
+  const edge = await this.findOne({ listId }).sort({ rank: position === 'top' ? 1 : -1 }).select('rank')
+  if (!edge) return 0
+  return position === 'top' ? edge.rank - RANK_GAP : edge.rank + RANK_GAP
+}
+
+// Renumber every todo in a list with evenly spaced ranks, keeping the current order
+// bulkWrite skips query middleware, so the version is bumped here (see bumpVersion)
+TodoSchema.statics.rebalance = async function (listId) {
+  const todos = await this.find({ listId }).sort({ rank: 1, _id: 1 }).select('_id')
+  if (!todos.length) return
+  await this.bulkWrite(todos.map((todo, i) => ({
+    updateOne: { filter: { _id: todo._id }, update: { $set: { rank: i * RANK_GAP }, $inc: { __v: 1 } } }
+  })))
+}
+
+// Move a todo between two neighbours (either may be null at the ends of what the user sees)
+// The page may be filtered or paged, so a missing neighbour isn't necessarily the
+// end of the list: it is looked up as the todo really next to the other one
+// Resolves with the updated todo, or null if a neighbour isn't in the same list
+TodoSchema.statics.moveBetween = async function (todo, prevId, nextId) {
+  const { listId } = todo
+
+  const neighbourRank = async (neighbourId) => {
+    if (!neighbourId) return null
+    const neighbour = await this.findOne({ _id: neighbourId, listId }).select('rank')
+    return neighbour ? neighbour.rank : undefined
+  }
+
+  // Rank of the todo directly before (-1) or after (1) `rank` in the whole list, or null at the end
+  const adjacentRank = async (rank, direction) => {
+    const adjacent = await this.findOne({ listId, _id: { $ne: todo._id }, rank: direction < 0 ? { $lt: rank } : { $gt: rank } })
+      .sort({ rank: direction })
+      .select('rank')
+    return adjacent ? adjacent.rank : null
+  }
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    let prev = await neighbourRank(prevId)
+    let next = await neighbourRank(nextId)
+    if (prev === undefined || next === undefined) return null
+    // Alone on the page: nothing to move relative to
+    if (prev === null && next === null) return this.findOne({ _id: todo._id, listId })
+    if (prev === null) prev = await adjacentRank(next, -1)
+    else if (next === null) next = await adjacentRank(prev, 1)
+
+    let rank
+    if (prev === null) rank = next - RANK_GAP
+    else if (next === null) rank = prev + RANK_GAP
+    else if (Math.abs(next - prev) >= MIN_RANK_GAP) rank = (prev + next) / 2
+
+    if (rank !== undefined) {
+      return this.findOneAndUpdate({ _id: todo._id, listId }, { rank }, { new: true })
+    }
+    // Neighbours are too close to split - spread the list out and try again
+    await this.rebalance(listId)
+  }
+  return null
+}
+
+// RECURRING TODOS
+// ===============
+
+// Create the occurrence that follows this (just completed) todo, with the
+// same text, notes, tags, rule and (unticked) subtasks, due on the rule's next day
+// `position` is 'top' or 'bottom', like for new todos
+// Resolves with the new todo, or null when the todo doesn't repeat, the
+// series has ended, or the next occurrence was created already
+TodoSchema.methods.createNextOccurrence = async function (position) {
+  if (!this.recurrence) return null
+  const dueDate = nextOccurrence(this.recurrence, { dueDate: this.dueDate })
+  if (!dueDate) return null
+
+  // Claim the slot first, so two completions at the same time can't both create one
+  const Todo = this.constructor
+  const nextId = new mongoose.Types.ObjectId()
+  const { modifiedCount } = await Todo.updateOne({ _id: this._id, nextOccurrenceId: null }, { nextOccurrenceId: nextId })
+  if (!modifiedCount) return null
+  this.nextOccurrenceId = nextId
+
+  try {
+    return await Todo.create({
+      _id: nextId,
+      todo: this.todo,
+      notes: this.notes,
+      tags: this.tags,
+      priority: this.priority,
+      subtasks: this.subtasks.map(subtask => ({ text: subtask.text })),
+      recurrence: this.recurrence.toObject(),
+      dueDate,
+      completed: false,
+      rank: await Todo.nextRank(this.listId, position),
+      listId: this.listId,
+      userId: this.userId
+    })
+  } catch (err) {
+    // Give the slot back, or the series would point at a todo that doesn't
+    // exist and never repeat again
+    await Todo.updateOne({ _id: this._id, nextOccurrenceId: nextId }, { nextOccurrenceId: null })
+    this.nextOccurrenceId = null
+    throw err
+  }
+}
+
+// TRASH
+// =====
+// Deleting a todo only moves it to the trash of the user who deleted it
+// It can be restored from there until purgeTrash removes it for good
+// (see utils/trash.js for the retention period)
+
+// Trash every todo matching `filter` on behalf of `user`
+// Resolves with the number of todos trashed
+TodoSchema.statics.moveToTrash = async function (filter, user) {
+  const { modifiedCount } = await this.updateMany(filter, { deletedAt: new Date(), deletedBy: user._id })
+  return modifiedCount
+}
+
+// The user's trash, most recently deleted first, limited to `listIds` (the lists they can still see)
+TodoSchema.statics.findTrash = function (user, listIds) {
+  return this.find({ deletedBy: user._id, deletedAt: { $ne: null }, listId: { $in: listIds } }).sort({ deletedAt: -1 })
+}
+
+// Take a trashed todo out of the trash again, in its old place
+// Resolves with the restored todo, or null if it wasn't in the trash
+TodoSchema.statics.restore = function (todoId) {
+  return this.findOneAndUpdate({ _id: todoId, deletedAt: { $ne: null } }, { deletedAt: null, deletedBy: null }, { new: true })
+}
+
+// Permanently delete todos that have been in the trash since before `cutoff`
+// Resolves with the number deleted
+TodoSchema.statics.purgeTrash = async function (cutoff) {
+  const { deletedCount } = await this.deleteMany({ deletedAt: { $lt: cutoff } })
+  return deletedCount
+}
+
+TodoSchema.statics.PRIORITIES = PRIORITIES
+TodoSchema.statics.MAX_TAGS = MAX_TAGS
+TodoSchema.statics.MAX_SUBTASKS = MAX_SUBTASKS
+TodoSchema.statics.RANK_GAP = RANK_GAP
+
 module.exports = mongoose.model('Todo', TodoSchema)
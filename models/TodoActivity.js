@@ -0,0 +1,74 @@
+const mongoose = require('mongoose')
+const appendOnly = require('../utils/appendOnly')
+
+// TODO ACTIVITY
+// =============
+// What happened to each todo, and who did it: one entry per create, edit,
+// complete, reopen, delete (to the trash) and restore
+// Entries are append-only (see utils/appendOnly.js) and outlive the todo,
+// so the history of a deleted todo can still be read in the activity feed
+const ACTIONS = ['created', 'edited', 'completed', 'reopened', 'deleted', 'restored']
+
+const TodoActivitySchema = new mongoose.Schema({
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true
+  },
+  // Where the todo was at the time - readers need access to this list
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    required: true
+  },
+  // Copied so the entry stays readable after the todo is renamed or deleted
+  todoText: String,
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied so the entry stays readable after the account is deleted
+  actorName: String,
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  // Edits: { field: { from, to } } for each changed field
+  changes: mongoose.Schema.Types.Mixed,
+  // Anything else worth knowing, e.g. { via: 'import' } or { via: 'recurrence', previousId }
+  details: mongoose.Schema.Types.Mixed
+}, { timestamps: { createdAt: true, updatedAt: false } })
+
+TodoActivitySchema.index({ todoId: 1, createdAt: -1 })
+TodoActivitySchema.index({ listId: 1, createdAt: -1 })
+
+TodoActivitySchema.plugin(appendOnly, { message: 'Todo activity cannot be changed or deleted.' })
+
+// One entry per todo in `todos`, all for `action` by the logged-in user (`req.user`)
+// `extra` may hold changes and details; resolves with the new entries
+TodoActivitySchema.statics.record = function (req, action, todos, extra = {}) {
+  const entries = [].concat(todos).map(todo => ({
+    todoId: todo._id,
+    listId: todo.listId,
+    todoText: todo.todo,
+    actorId: req.user._id,
+    actorName: req.user.userName || req.user.email,
+    action,
+    ...extra
+  }))
+  return entries.length ? this.insertMany(entries) : Promise.resolve([])
+}
+
+// The newest entries first, `limit` at most, older than `before` when given (for paging)
+// `filter` picks the todo, lists or actor
+TodoActivitySchema.statics.recent = function (filter, { limit = 50, before = null } = {}) {
+  const query = { ...filter }
+  if (before) query.createdAt = { $lt: before }
+  return this.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit)
+}
+
+TodoActivitySchema.statics.ACTIONS = ACTIONS
+
+module.exports = mongoose.model('TodoActivity', TodoActivitySchema)
@@ -4,7 +4,50 @@
 // It's designed to work seamlessly with Passport.js authentication
 
 const bcrypt = require('bcrypt')    // For password hashing and comparison
+const crypto = require('crypto')    // For one-time email tokens
 const mongoose = require('mongoose')
+const { backoffMs } = require('../utils/throttle')
+const { escapeRegExp } = require('../utils/regexp')
+const totp = require('../utils/totp')
+
+// ONE-TIME EMAIL TOKENS
+// =====================
+// Links in password reset / verification emails carry a random token
+// Only its SHA-256 hash is stored, so a leaked database can't be used to reset passwords
+// Each purpose has its own lifetime; a token is cleared as soon as it's used
+const TOKEN_TTL = {
+  passwordReset: 60 * 60 * 1000,           // 1 hour
+  emailVerification: 24 * 60 * 60 * 1000   // 24 hours
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+const TokenSchema = new mongoose.Schema({
+  hash: String,
+  expiresAt: Date
+}, { _id: false })
+
+// ACCOUNT LOCKOUT
+// ===============
+// 5 wrong passwords are free; after that each failure locks the account for
+// 30s, 1m, 2m ... up to 1 hour. The count restarts after a successful login,
+// a password reset, or a day without failures
+const LOCKOUT = {
+  free: 5,
+  base: 30 * 1000,
+  max: 60 * 60 * 1000,
+  window: 24 * 60 * 60 * 1000
+}
+
+// TWO-FACTOR AUTHENTICATION
+// =========================
+// Optional TOTP codes after the password. When the authenticator app is
+// lost, one of RECOVERY_CODE_COUNT single-use recovery codes stands in for a code
+// (stored as SHA-256 hashes, like the email tokens above)
+const RECOVERY_CODE_COUNT = 10
+
+// Recovery codes are typed by hand: ignore case, spaces and dashes
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '')
 
 // USER SCHEMA DEFINITION
 // ======================
@@ -18,9 +61,64 @@ const UserSchema = new mongoose.Schema({
     type: String, 
     unique: true    // Ensures no duplicate emails
   },
-  password: String  // Will store the hashed password, never plain text
+  password: String, // Will store the hashed password, never plain text (missing for provider-only accounts)
+  // 'admin' users can open the admin console (see routes/admin.js)
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Set when an admin locks the account: no logins, sessions or API tokens until unlocked
+  lockedAt: Date,
+  lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Sign-in provider accounts linked to this user (see config/oidc.js)
+  identities: [{
+    _id: false,
+    provider: { type: String, required: true },  // provider name from OIDC_PROVIDERS
+    subject: { type: String, required: true },   // the provider's stable user id (`sub` claim)
+    email: String,                               // shown on the account page
+    linkedAt: { type: Date, default: Date.now }
+  }],
+  // New address asked for on the account page; replaces `email` once its verification link is opened
+  pendingEmail: String,
+  // False until the user clicks the link in the verification email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  tokens: {
+    passwordReset: TokenSchema,
+    emailVerification: TokenSchema
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: String,          // base32 TOTP secret, set once enrollment is confirmed
+    pendingSecret: String,   // secret shown during enrollment, until the first code proves it works
+    lastUsedStep: Number,    // TOTP step of the last accepted code, so it can't be replayed
+    recoveryCodes: [String]  // hashes of the unused recovery codes
+  },
+  // Failed password (and second-factor) attempts since the last successful login (see LOCKOUT)
+  loginAttempts: {
+    count: { type: Number, default: 0 },
+    lastFailedAt: Date,
+    lockedUntil: Date
+  },
+  // Per-user settings for the todo list
+  preferences: {
+    newTodoPosition: {
+      type: String,
+      enum: ['top', 'bottom'],  // Where newly created todos land in the manual order
+      default: 'bottom'
+    }
+  }
 })
 
+// A provider identity belongs to at most one user
+UserSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+)
+
 // PASSWORD HASHING MIDDLEWARE
 // ===========================
 // This pre-save middleware automatically hashes passwords before saving to database
@@ -65,6 +163,171 @@ UserSchema.methods.comparePassword = function comparePassword(candidatePassword,
   })
 }
 
+// TOKEN METHODS
+// =============
+
+// Create a fresh token for `purpose` (replacing any previous one) and return it in plain text
+// The caller must save() the user and put the returned token in the email link
+UserSchema.methods.createToken = function createToken(purpose) {
+  const token = crypto.randomBytes(32).toString('hex')
+  this.tokens[purpose] = { hash: hashToken(token), expiresAt: new Date(Date.now() + TOKEN_TTL[purpose]) }
+  return token
+}
+
+// Forget the token for `purpose` so the link can't be used again (caller saves)
+UserSchema.methods.clearToken = function clearToken(purpose) {
+  this.tokens[purpose] = undefined
+}
+
+// Find the user a plain-text token belongs to, if it exists and hasn't expired
+UserSchema.statics.findByToken = function findByToken(purpose, token) {
+  if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return Promise.resolve(null)
+  return this.findOne({
+    [`tokens.${purpose}.hash`]: hashToken(token),
+    [`tokens.${purpose}.expiresAt`]: { $gt: new Date() }
+  })
+}
+
+// LOCKOUT METHODS
+// ===============
+
+// Milliseconds until this account may try a password again (0 when it isn't locked)
+UserSchema.methods.lockedFor = function lockedFor() {
+  const until = this.loginAttempts.lockedUntil
+  return until ? Math.max(0, until - Date.now()) : 0
+}
+
+// Count a wrong password, locking the account once the free attempts are used up
+// The count is changed with atomic updates, so guesses sent in parallel can't all
+// read the same count and slip past the lock
+// Resolves with the new lock length in milliseconds; this.loginAttempts is refreshed
+UserSchema.methods.registerFailedLogin = async function registerFailedLogin() {
+  const User = this.constructor
+  const now = new Date()
+  // Start counting again after a quiet day - only matches if no failure came in since
+  await User.updateOne(
+    { _id: this._id, 'loginAttempts.lastFailedAt': { $lt: new Date(now.getTime() - LOCKOUT.window) } },
+    { $set: { 'loginAttempts.count': 0 } }
+  )
+  const updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { 'loginAttempts.count': 1 }, $set: { 'loginAttempts.lastFailedAt': now } },
+    { new: true }
+  ).select('loginAttempts')
+  const attempts = updated.toObject().loginAttempts
+  const wait = backoffMs(attempts.count, LOCKOUT)
+  if (wait) {
+    attempts.lockedUntil = new Date(now.getTime() + wait)
+    // $max: a slower request with a lower count can't shorten a longer lock
+    await User.updateOne({ _id: this._id }, { $max: { 'loginAttempts.lockedUntil': attempts.lockedUntil } })
+  }
+  this.loginAttempts = attempts
+  return wait
+}
+
+// Forget failed attempts (caller saves)
+UserSchema.methods.resetLoginAttempts = function resetLoginAttempts() {
+  this.loginAttempts = { count: 0 }
+}
+
+// TWO-FACTOR METHODS
+// ==================
+
+// Start (or restart) enrollment with a fresh secret and return it (caller saves)
+UserSchema.methods.beginTwoFactor = function beginTwoFactor() {
+  this.twoFactor.pendingSecret = totp.generateSecret()
+  return this.twoFactor.pendingSecret
+}
+
+// Check a 6-digit code against `secret` (the pending one during enrollment)
+// Accepted codes are remembered so each can only be used once (caller saves)
+UserSchema.methods.checkTotp = function checkTotp(code, secret = this.twoFactor.secret) {
+  if (!secret) return false
+  const afterStep = this.twoFactor.lastUsedStep === undefined ? -1 : this.twoFactor.lastUsedStep
+  const step = totp.verify(secret, String(code || '').replace(/\s/g, ''), { afterStep })
+  if (step === null) return false
+  this.twoFactor.lastUsedStep = step
+  return true
+}
+
+// Make a new set of recovery codes, replacing any old ones
+// Returns the plain-text codes to show the user once (caller saves)
+UserSchema.methods.generateRecoveryCodes = function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex')
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`
+  })
+  this.twoFactor.recoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  return codes
+}
+
+// Use up a recovery code; false if it isn't one of the unused codes (caller saves)
+UserSchema.methods.useRecoveryCode = function useRecoveryCode(code) {
+  const hash = hashToken(normalizeRecoveryCode(code))
+  const index = this.twoFactor.recoveryCodes.indexOf(hash)
+  if (index === -1) return false
+  this.twoFactor.recoveryCodes.splice(index, 1)
+  return true
+}
+
+// Finish enrollment: the pending secret becomes the real one
+// Returns the new recovery codes (caller saves)
+UserSchema.methods.enableTwoFactor = function enableTwoFactor() {
+  this.twoFactor.secret = this.twoFactor.pendingSecret
+  this.twoFactor.pendingSecret = undefined
+  this.twoFactor.enabled = true
+  return this.generateRecoveryCodes()
+}
+
+// Turn 2FA off and forget the secret and recovery codes (caller saves)
+UserSchema.methods.disableTwoFactor = function disableTwoFactor() {
+  this.twoFactor = { enabled: false, recoveryCodes: [] }
+}
+
+// SIGN-IN PROVIDER METHODS
+// ========================
+
+// The user linked to a provider identity, if any
+UserSchema.statics.findByIdentity = function findByIdentity(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject: String(subject) } } })
+}
+
+// The user's identity at `provider`, or undefined
+UserSchema.methods.identityFor = function identityFor(provider) {
+  return this.identities.find(identity => identity.provider === provider)
+}
+
+// Link a provider identity (replacing an earlier one from the same provider) - caller saves
+UserSchema.methods.linkIdentity = function linkIdentity(provider, { sub, email }) {
+  this.identities = this.identities.filter(identity => identity.provider !== provider)
+  this.identities.push({ provider, subject: String(sub), email })
+}
+
+// True if the user could still sign in without `provider` (a password or another provider)
+UserSchema.methods.canUnlink = function canUnlink(provider) {
+  return Boolean(this.password) || this.identities.some(identity => identity.provider !== provider)
+}
+
+// ADMIN METHODS
+// =============
+
+UserSchema.methods.isAdmin = function isAdmin() {
+  return this.role === 'admin'
+}
+
+// True while an admin has locked the account (unlike `lockedFor`, this doesn't expire)
+UserSchema.methods.isLocked = function isLocked() {
+  return Boolean(this.lockedAt)
+}
+
+// Query for users whose name or email contains `text` (all users when it's empty)
+UserSchema.statics.search = function search(text) {
+  const term = String(text || '').trim()
+  if (!term) return this.find()
+  const pattern = new RegExp(escapeRegExp(term), 'i')
+  return this.find({ $or: [{ userName: pattern }, { email: pattern }] })
+}
+
 /*
 AUTHENTICATION SECURITY WORKFLOW:
 =================================
@@ -80,6 +343,8 @@ AUTHENTICATION SECURITY WORKFLOW:
    - comparePassword() method compares it with stored hash
    - bcrypt handles the salt and comparison internally
    - Returns true if passwords match, false otherwise
+   - Wrong passwords are counted and lock the account for a growing time (LOCKOUT)
+   - With 2FA enabled, a TOTP or recovery code is needed as well (see middleware/auth.js)
 
 3. WHY THIS IS SECURE:
    - Even if database is compromised, passwords are hashed
@@ -1,69 +1,595 @@
-const deleteBtn = document.querySelectorAll('.del')
-const todoItem = document.querySelectorAll('span.not')
-const todoComplete = document.querySelectorAll('span.completed')
+const todoList = document.querySelector('#todoList')
+// Viewers get a read-only list: no completion toggles, editing or deleting
+const editable = todoList && !todoList.classList.contains('readonly')
+const toggleAllBox = document.querySelector('#toggleAll')
+const clearCompletedBtn = document.querySelector('#clearCompleted')
+const listActions = document.querySelector('.list-actions')
+const currentListId = listActions ? listActions.dataset.listId : null
 
-Array.from(deleteBtn).forEach((el)=>{
-    el.addEventListener('click', deleteTodo)
-})
+// A double-click also fires two clicks, so single clicks wait briefly
+// and are cancelled if the second click turns out to be a double-click
+const CLICK_DELAY = 250
+let clickTimer = null
+
+// The item being dragged (see DRAG-AND-DROP ORDERING below)
+let dragged = null
+let draggedFrom = null
 
-Array.from(todoItem).forEach((el)=>{
-    el.addEventListener('click', markComplete)
+// Todo items can be added by other tabs/collaborators at any time,
+// so handlers are delegated from the list instead of bound per item
+if (todoList && editable) {
+    todoList.addEventListener('click', (e) => {
+        if (e.target.matches('.del')) return deleteTodo.call(e.target)
+        if (e.target.matches('.set-repeat')) return editRecurrence.call(e.target)
+        if (e.target.matches('.del-subtask')) return deleteSubtask.call(e.target)
+        if (e.target.matches('span.not')) return delayClick(markComplete).call(e.target)
+        if (e.target.matches('span.completed')) return delayClick(markIncomplete).call(e.target)
+    })
+    todoList.addEventListener('dblclick', (e) => {
+        if (e.target.matches('span.not, span.completed')) editTodo.call(e.target)
+        if (e.target.matches('.subtasks span.text')) editSubtask.call(e.target)
+    })
+    todoList.addEventListener('change', (e) => {
+        if (e.target.matches('.check-subtask')) toggleSubtask.call(e.target)
+    })
+    todoList.addEventListener('submit', (e) => {
+        if (e.target.matches('.add-subtask')) addSubtask.call(e.target, e)
+    })
+}
+
+// Show only the repeat fields that matter for the chosen frequency
+Array.from(document.querySelectorAll('.repeat-fields')).forEach((fields)=>{
+    const select = fields.querySelector('select[name=repeat]')
+    select.addEventListener('change', () => showRepeatFields(fields))
+    showRepeatFields(fields)
 })
 
-Array.from(todoComplete).forEach((el)=>{
-    el.addEventListener('click', markIncomplete)
+if (toggleAllBox) toggleAllBox.addEventListener('change', toggleAll)
+if (clearCompletedBtn) clearCompletedBtn.addEventListener('click', clearCompleted)
+
+if (listActions) {
+    const renameBtn = listActions.querySelector('#renameList')
+    const archiveBtn = listActions.querySelector('#archiveList')
+    const deleteListBtn = listActions.querySelector('#deleteList')
+    if (renameBtn) renameBtn.addEventListener('click', renameList)
+    if (archiveBtn) archiveBtn.addEventListener('click', toggleArchiveList)
+    if (deleteListBtn) deleteListBtn.addEventListener('click', deleteList)
+    const leaveBtn = listActions.querySelector('#leaveList')
+    if (leaveBtn) leaveBtn.addEventListener('click', leaveList)
+}
+
+const shareForm = document.querySelector('#shareList')
+if (shareForm) shareForm.addEventListener('submit', shareList)
+Array.from(document.querySelectorAll('.members .revoke')).forEach((el)=>{
+    el.addEventListener('click', revokeMember)
 })
 
+if (todoList && todoList.classList.contains('sortable')) {
+    todoList.addEventListener('dragstart', dragStart)
+    todoList.addEventListener('dragover', dragOver)
+    todoList.addEventListener('dragend', dragEnd)
+}
+
+if (todoList && window.EventSource) listenForChanges()
+
+function delayClick(handler){
+    return function(){
+        clearTimeout(clickTimer)
+        clickTimer = setTimeout(() => handler.call(this), CLICK_DELAY)
+    }
+}
+
+// The session's CSRF token, sent with every change (see middleware/csrf.js)
+const csrfToken = document.querySelector('meta[name="csrf-token"]').content
+
+// Send a JSON request and unwrap the server's error envelope
+// Resolves with the parsed body, rejects with the server's error message
+async function sendJson(url, method, body){
+    const response = await fetch(url, {
+        method: method,
+        headers: {'Content-type': 'application/json', 'Accept': 'application/json', 'X-CSRF-Token': csrfToken},
+        body: JSON.stringify(body)
+    })
+    const data = await response.json().catch(() => null)
+    if (!response.ok) {
+        throw new Error(data && data.error ? data.error.message : `Request failed (${response.status})`)
+    }
+    return data
+}
+
+// DOM PATCHING
+// ============
+// Used both for our own actions and for changes pushed by the server,
+// so every function here is safe to call twice with the same data
+
+function findItem(todoId){
+    return todoList.querySelector(`li.todoItem[data-id='${todoId}']`)
+}
+
+function setLeft(listId, left){
+    if (left === undefined) return
+    const count = document.querySelector(`.lists li[data-list-id='${listId}'] .count`)
+    if (count) count.textContent = left
+    if (listId === currentListId) {
+        const itemsLeft = document.querySelector('#itemsLeft')
+        if (itemsLeft) itemsLeft.textContent = left
+        if (toggleAllBox) toggleAllBox.checked = left === 0
+    }
+}
+
+// Does the current status filter (all/active/completed) show this todo?
+function isVisible(todo){
+    const status = todoList.dataset.status
+    return status === 'all' || (status === 'completed') === todo.completed
+}
+
+// Can a todo that isn't on the page yet be slotted in without reloading?
+// Not on later pages or in search results (the server decides what matches),
+// nor in sort orders the page can't work out from the todo alone
+function canPlace(){
+    const { q, page, sort, order } = todoList.dataset
+    if (q || page !== '1') return false
+    return (sort === 'rank' && order === 'asc') || (sort === 'createdAt' && order === 'desc')
+}
+
+// Offer a reload for changes this page can't show by itself
+function showListChanged(){
+    const notice = document.querySelector('#listChanged')
+    if (notice) notice.hidden = false
+}
+
+// The todo's row as the server renders it on the page (views/partials/todo-item.ejs),
+// or null once the todo is gone
+async function fetchItem(todoId){
+    const response = await fetch(`/todos/item/${todoId}/row`, {headers: {'Accept': 'text/html'}})
+    if (!response.ok) return null
+    const template = document.createElement('template')
+    template.innerHTML = (await response.text()).trim()
+    const li = template.content.firstElementChild
+    if (li && todoList.classList.contains('sortable')) li.draggable = true
+    return li
+}
+
+// Put a todo in its place: by rank in the manual order (new items only
+// know their rank), at the top when newest come first (see canPlace)
+function placeItem(li, todo){
+    if (todoList.dataset.sort === 'rank') {
+        const after = Array.from(todoList.children).find(el => Number(el.dataset.rank) > todo.rank)
+        todoList.insertBefore(li, after || null)
+    } else {
+        todoList.insertBefore(li, todoList.firstChild)
+    }
+}
+
+// Show the server's copy of a todo: `todo` only needs id, completed and rank,
+// the row itself is fetched so it has every field the page shows
+async function applyTodo(todo){
+    const li = findItem(todo.id)
+    if (!isVisible(todo)) {
+        if (li) li.remove()
+        return
+    }
+    if (!li && !canPlace()) return showListChanged()
+    // Don't clobber an inline edit, a step being typed or a drag that's in progress
+    if (li && (li === dragged || li.querySelector('input.edit, input:focus'))) return
+    const fresh = await fetchItem(todo.id)
+    // Another change may have added or removed the row while this one was fetched
+    const current = findItem(todo.id)
+    if (!fresh) {
+        if (current) current.remove()
+    } else if (current) {
+        current.replaceWith(fresh)
+    } else {
+        placeItem(fresh, todo)
+    }
+}
+
+function removeTodo(todoId){
+    const li = findItem(todoId)
+    if (li) li.remove()
+}
+
+// REAL-TIME SYNC
+// ==============
+// The server pushes every change to the lists we can see (routes/events.js)
+function listenForChanges(){
+    const events = new EventSource('/events')
+    const on = (type, handler) => events.addEventListener(type, (e) => handler(JSON.parse(e.data)))
+
+    on('todo:created', (data) => {
+        setLeft(data.listId, data.left)
+        if (data.listId === currentListId) applyTodo(data.todo)
+    })
+    on('todo:updated', (data) => {
+        setLeft(data.listId, data.left)
+        if (data.listId === currentListId) applyTodo(data.todo)
+    })
+    on('todo:moved', (data) => {
+        if (data.listId !== currentListId) return
+        const li = findItem(data.todo.id)
+        if (!li || li === dragged) return
+        // Only the manual order, top to bottom, can follow a move without reloading
+        if (todoList.dataset.sort !== 'rank' || todoList.dataset.order !== 'asc') return showListChanged()
+        li.dataset.rank = data.todo.rank
+        const next = data.nextId && findItem(data.nextId)
+        const prev = data.prevId && findItem(data.prevId)
+        if (next) todoList.insertBefore(li, next)
+        else if (prev) todoList.insertBefore(li, prev.nextSibling)
+    })
+    on('todo:deleted', (data) => {
+        setLeft(data.listId, data.left)
+        if (data.listId === currentListId) removeTodo(data.todoId)
+    })
+    // Bulk changes and list settings: simplest to fetch the page again
+    on('list:changed', (data) => {
+        setLeft(data.listId, data.left)
+        if (data.listId === currentListId && !document.querySelector('input.edit')) location.reload()
+    })
+    on('list:deleted', (data) => {
+        if (data.listId === currentListId) location.href = '/todos'
+        else {
+            const entry = document.querySelector(`.lists li[data-list-id='${data.listId}']`)
+            if (entry) entry.remove()
+        }
+    })
+}
+
+// UNDO
+// ====
+// Deleted todos go to the trash, so for a few seconds the page offers to bring one back
+const UNDO_TIMEOUT = 8000
+let undoTimer = null
+
+// `undo` is called if the button is pressed before the toast goes away
+function showUndo(message, undo){
+    const toast = document.querySelector('#undoToast')
+    if (!toast) return
+    toast.querySelector('.message').textContent = message
+    toast.querySelector('.undo').onclick = () => {
+        hideUndo()
+        undo()
+    }
+    toast.hidden = false
+    clearTimeout(undoTimer)
+    undoTimer = setTimeout(hideUndo, UNDO_TIMEOUT)
+}
+
+function hideUndo(){
+    clearTimeout(undoTimer)
+    const toast = document.querySelector('#undoToast')
+    if (toast) toast.hidden = true
+}
+
+async function restoreTodo(todoId){
+    try{
+        const data = await sendJson('todos/restore', 'put', {'todoIdFromJSFile': todoId})
+        applyTodo(data.todo)
+        setLeft(currentListId, data.left)
+    }catch(err){
+        alert(err.message)
+    }
+}
+
+// TODO ACTIONS
+// ============
 async function deleteTodo(){
     const todoId = this.parentNode.dataset.id
+    const text = this.parentNode.querySelector('span').textContent
     try{
-        const response = await fetch('todos/deleteTodo', {
-            method: 'delete',
-            headers: {'Content-type': 'application/json'},
-            body: JSON.stringify({
-                'todoIdFromJSFile': todoId
-            })
-        })
-        const data = await response.json()
-        console.log(data)
-        location.reload()
+        const data = await sendJson('todos/deleteTodo', 'delete', {'todoIdFromJSFile': todoId})
+        removeTodo(todoId)
+        setLeft(currentListId, data.left)
+        showUndo(`"${text}" moved to the trash.`, () => restoreTodo(todoId))
     }catch(err){
-        console.log(err)
+        alert(err.message)
     }
 }
 
 async function markComplete(){
     const todoId = this.parentNode.dataset.id
+    // Offer to tick off the rest of the checklist along with the todo
+    const open = this.parentNode.querySelectorAll('.check-subtask:not(:checked)').length
+    const completeSubtasks = open > 0 && confirm(`Also tick off the ${open} remaining step${open === 1 ? '' : 's'}?`)
     try{
-        const response = await fetch('todos/markComplete', {
-            method: 'put',
-            headers: {'Content-type': 'application/json'},
-            body: JSON.stringify({
-                'todoIdFromJSFile': todoId
-            })
-        })
-        const data = await response.json()
-        console.log(data)
-        location.reload()
+        const data = await sendJson('todos/markComplete', 'put', {'todoIdFromJSFile': todoId, 'completeSubtasks': completeSubtasks})
+        applyTodo(data.todo)
+        // A repeating todo comes back with its next occurrence
+        if (data.next) applyTodo(data.next)
+        setLeft(currentListId, data.left)
     }catch(err){
-        console.log(err)
+        alert(err.message)
     }
 }
 
 async function markIncomplete(){
     const todoId = this.parentNode.dataset.id
     try{
-        const response = await fetch('todos/markIncomplete', {
-            method: 'put',
-            headers: {'Content-type': 'application/json'},
-            body: JSON.stringify({
-                'todoIdFromJSFile': todoId
+        const data = await sendJson('todos/markIncomplete', 'put', {'todoIdFromJSFile': todoId})
+        applyTodo(data.todo)
+        setLeft(currentListId, data.left)
+    }catch(err){
+        alert(err.message)
+    }
+}
+
+// INLINE EDITING
+// ==============
+// Swap the text for an input: Enter or blur saves, Escape cancels
+function editTodo(){
+    clearTimeout(clickTimer)
+    const span = this
+    const todoId = span.parentNode.dataset.id
+    const original = span.textContent
+    const input = document.createElement('input')
+    input.type = 'text'
+    input.className = 'edit'
+    input.value = original
+    input.maxLength = 280
+    span.replaceWith(input)
+    input.focus()
+    input.select()
+
+    let done = false
+    const finish = async (save) => {
+        if (done) return
+        done = true
+        const text = input.value.trim()
+        if (save && text && text !== original) {
+            try{
+                const data = await sendJson('todos/editTodo', 'put', {'todoIdFromJSFile': todoId, 'todo': text})
+                span.textContent = data.todo.todo
+            }catch(err){
+                alert(err.message)
+            }
+        }
+        input.replaceWith(span)
+    }
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true)
+        if (e.key === 'Escape') finish(false)
+    })
+    input.addEventListener('blur', () => finish(true))
+}
+
+// SUBTASKS
+// ========
+// Every answer carries the whole todo, so the checklist is simply redrawn
+async function addSubtask(e){
+    e.preventDefault()
+    const form = this
+    const todoId = form.closest('li.todoItem').dataset.id
+    try{
+        const data = await sendJson('todos/subtasks', 'post', {'todoIdFromJSFile': todoId, 'text': form.text.value})
+        form.reset()
+        applyTodo(data.todo)
+    }catch(err){
+        alert(err.message)
+    }
+}
+
+async function toggleSubtask(){
+    const item = this.closest('li.todoItem')
+    const completed = this.checked
+    // Ticking off the last open step can complete the todo too - ask first
+    const lastOpen = completed && item.querySelector('span.not') && !item.querySelector('.check-subtask:not(:checked)')
+    const completeParent = Boolean(lastOpen) && confirm('All steps are done. Mark the todo as complete too?')
+    try{
+        const data = await sendJson(`todos/subtasks/${this.parentNode.dataset.subtaskId}`, 'put', {
+            'todoIdFromJSFile': item.dataset.id,
+            'completed': completed,
+            'completeParent': completeParent
+        })
+        applyTodo(data.todo)
+        if (data.next) applyTodo(data.next)
+        setLeft(currentListId, data.left)
+    }catch(err){
+        this.checked = !completed
+        alert(err.message)
+    }
+}
+
+async function editSubtask(){
+    const item = this.closest('li.todoItem')
+    const text = prompt('Edit step:', this.textContent)
+    if (!text || !text.trim() || text.trim() === this.textContent) return
+    try{
+        const data = await sendJson(`todos/subtasks/${this.parentNode.dataset.subtaskId}`, 'put', {'todoIdFromJSFile': item.dataset.id, 'text': text.trim()})
+        applyTodo(data.todo)
+    }catch(err){
+        alert(err.message)
+    }
+}
+
+async function deleteSubtask(){
+    const item = this.closest('li.todoItem')
+    try{
+        const data = await sendJson(`todos/subtasks/${this.parentNode.dataset.subtaskId}`, 'delete', {'todoIdFromJSFile': item.dataset.id})
+        applyTodo(data.todo)
+    }catch(err){
+        alert(err.message)
+    }
+}
+
+// RECURRENCE
+// ==========
+function showRepeatFields(fields){
+    const frequency = fields.querySelector('select[name=repeat]').value
+    Array.from(fields.querySelectorAll('[data-repeat]')).forEach((el)=>{
+        el.hidden = !el.dataset.repeat.split(' ').includes(frequency)
+    })
+}
+
+// Open the repeat dialog filled in with the todo's current rule; Save sends it
+function editRecurrence(){
+    const todoId = this.parentNode.dataset.id
+    const rule = JSON.parse(this.parentNode.dataset.recurrence || 'null') || {}
+    const dialog = document.querySelector('#recurrenceDialog')
+    const form = dialog.querySelector('form')
+    form.repeat.value = rule.frequency || 'none'
+    form.repeatEvery.value = rule.interval || ''
+    Array.from(form.querySelectorAll('[name=repeatWeekdays]')).forEach((box)=>{
+        box.checked = (rule.weekdays || []).includes(Number(box.value))
+    })
+    form.repeatDayOfMonth.value = rule.dayOfMonth || ''
+    form.repeatUntil.value = rule.endDate ? rule.endDate.slice(0, 10) : ''
+    showRepeatFields(form)
+
+    dialog.addEventListener('close', async () => {
+        if (dialog.returnValue !== 'save') return
+        const fields = new FormData(form)
+        try{
+            await sendJson('todos/recurrence', 'put', {
+                'todoIdFromJSFile': todoId,
+                'repeat': fields.get('repeat'),
+                'repeatEvery': fields.get('repeatEvery'),
+                'repeatWeekdays': fields.getAll('repeatWeekdays'),
+                'repeatDayOfMonth': fields.get('repeatDayOfMonth'),
+                'repeatUntil': fields.get('repeatUntil')
             })
+            location.reload()
+        }catch(err){
+            alert(err.message)
+        }
+    }, {once: true})
+    dialog.returnValue = ''
+    dialog.showModal()
+}
+
+// BULK ACTIONS
+// ============
+async function toggleAll(){
+    const completed = this.checked
+    try{
+        const data = await sendJson('todos/toggleAll', 'put', {'completed': completed, 'listId': currentListId})
+        Array.from(todoList.querySelectorAll('li.todoItem')).forEach((li)=>{
+            applyTodo({id: li.dataset.id, completed, rank: Number(li.dataset.rank)})
+        })
+        setLeft(currentListId, data.left)
+    }catch(err){
+        alert(err.message)
+    }
+}
+
+async function clearCompleted(){
+    try{
+        const data = await sendJson('todos/clearCompleted', 'delete', {'listId': currentListId})
+        Array.from(todoList.querySelectorAll('li.todoItem span.completed')).forEach(span => span.parentNode.remove())
+        setLeft(currentListId, data.left)
+    }catch(err){
+        alert(err.message)
+    }
+}
+
+// LIST MANAGEMENT
+// ===============
+async function renameList(){
+    const name = prompt('New name for this list:', document.querySelector('h1').textContent.replace(/ \(archived\)$/, ''))
+    if (!name || !name.trim()) return
+    try{
+        await sendJson(`/lists/${currentListId}`, 'put', {'name': name.trim()})
+        location.reload()
+    }catch(err){
+        alert(err.message)
+    }
+}
+
+async function toggleArchiveList(){
+    const archived = this.dataset.archived !== 'true'
+    try{
+        await sendJson(`/lists/${currentListId}`, 'put', {'archived': archived})
+        location.reload()
+    }catch(err){
+        alert(err.message)
+    }
+}
+
+async function deleteList(){
+    if (!confirm('Delete this list and every todo in it?')) return
+    try{
+        await sendJson(`/lists/${currentListId}`, 'delete', {})
+        location.href = '/todos'
+    }catch(err){
+        alert(err.message)
+    }
+}
+
+// SHARING
+// =======
+async function shareList(e){
+    e.preventDefault()
+    try{
+        await sendJson(`/lists/${currentListId}/members`, 'post', {
+            'identifier': this.identifier.value,
+            'role': this.role.value
         })
-        const data = await response.json()
-        console.log(data)
         location.reload()
     }catch(err){
-        console.log(err)
+        alert(err.message)
+    }
+}
+
+async function revokeMember(){
+    const userId = this.parentNode.dataset.userId
+    if (!confirm('Remove this person from the list?')) return
+    try{
+        await sendJson(`/lists/${currentListId}/members/${userId}`, 'delete', {})
+        location.reload()
+    }catch(err){
+        alert(err.message)
     }
-}
\ No newline at end of file
+}
+
+async function leaveList(){
+    if (!confirm('Leave this list? You will lose access until someone shares it again.')) return
+    try{
+        await sendJson(`/lists/${currentListId}/members/${listActions.dataset.userId}`, 'delete', {})
+        location.href = '/todos'
+    }catch(err){
+        alert(err.message)
+    }
+}
+
+// DRAG-AND-DROP ORDERING
+// ======================
+// The item moves in the DOM while dragging; on drop we send its new
+// neighbours and the server gives it a rank between theirs
+
+function dragStart(e){
+    dragged = e.target.closest('li.todoItem')
+    if (!dragged) return
+    draggedFrom = dragged.nextElementSibling
+    dragged.classList.add('dragging')
+    e.dataTransfer.effectAllowed = 'move'
+}
+
+function dragOver(e){
+    if (!dragged) return
+    e.preventDefault()
+    const target = e.target.closest('li.todoItem')
+    if (!target || target === dragged) return
+    // Drop above the target in its top half, below it in its bottom half
+    const box = target.getBoundingClientRect()
+    const after = e.clientY > box.top + box.height / 2
+    target.parentNode.insertBefore(dragged, after ? target.nextSibling : target)
+}
+
+async function dragEnd(){
+    if (!dragged) return
+    const item = dragged
+    dragged = null
+    item.classList.remove('dragging')
+    const next = item.nextElementSibling
+    if (next === draggedFrom) return // dropped where it started
+    const prev = item.previousElementSibling
+    try{
+        const data = await sendJson('todos/reorder', 'put', {
+            'todoIdFromJSFile': item.dataset.id,
+            'prevId': prev ? prev.dataset.id : null,
+            'nextId': next ? next.dataset.id : null
+        })
+        item.dataset.rank = data.todo.rank
+    }catch(err){
+        alert(err.message)
+        location.reload()
+    }
+}
@@ -0,0 +1,72 @@
+// ACCOUNT ROUTES
+// ==============
+// Settings for the logged-in user's own account
+
+const express = require('express')
+const router = express.Router()
+const accountController = require('../controllers/account')
+const { ensureAuth } = require('../middleware/auth')
+
+// PROFILE, EMAIL AND PASSWORD
+// ===========================
+// GET /account - Account settings page
+router.get('/', ensureAuth, accountController.getAccount)
+
+// POST /account/profile - Change the user name ({userName}, must be unique)
+router.post('/profile', ensureAuth, accountController.updateProfile)
+
+// POST /account/email - Change the email address ({email, password}); applied once the new address is confirmed
+router.post('/email', ensureAuth, accountController.changeEmail)
+
+// POST /account/password - Change the password ({currentPassword, password, confirmPassword})
+router.post('/password', ensureAuth, accountController.changePassword)
+
+// POST /account/delete - Delete the account with its lists, todos and sessions ({password} required)
+router.post('/delete', ensureAuth, accountController.deleteAccount)
+
+// SIGN-IN PROVIDERS
+// =================
+// (connect one with GET /auth/:provider while logged in)
+// POST /account/identities/:provider/unlink - Disconnect a provider
+router.post('/identities/:provider/unlink', ensureAuth, accountController.unlinkIdentity)
+
+// SESSIONS (DEVICES)
+// ==================
+// GET /account/sessions - List where the user is signed in
+router.get('/sessions', ensureAuth, accountController.getSessions)
+
+// POST /account/sessions/revoke-others - Sign out every other session
+router.post('/sessions/revoke-others', ensureAuth, accountController.revokeOtherSessions)
+
+// POST /account/sessions/:sessionId/revoke - Sign out one session
+router.post('/sessions/:sessionId/revoke', ensureAuth, accountController.revokeSession)
+
+// PERSONAL API TOKENS
+// ===================
+// GET /account/tokens - List the user's API tokens
+router.get('/tokens', ensureAuth, accountController.getTokens)
+
+// POST /account/tokens - Create a token ({name, scope: read|write}); it is shown once
+router.post('/tokens', ensureAuth, accountController.createToken)
+
+// POST /account/tokens/:tokenId/revoke - Revoke a token
+router.post('/tokens/:tokenId/revoke', ensureAuth, accountController.revokeToken)
+
+// TWO-FACTOR AUTHENTICATION
+// =========================
+// GET /account/2fa - Show 2FA status (and the QR code while setting it up)
+router.get('/2fa', ensureAuth, accountController.getTwoFactor)
+
+// POST /account/2fa/setup - Start enrollment with a new secret
+router.post('/2fa/setup', ensureAuth, accountController.setupTwoFactor)
+
+// POST /account/2fa/enable - Confirm enrollment with a {code} from the app
+router.post('/2fa/enable', ensureAuth, accountController.enableTwoFactor)
+
+// POST /account/2fa/recovery-codes - Replace the recovery codes ({password} required)
+router.post('/2fa/recovery-codes', ensureAuth, accountController.regenerateRecoveryCodes)
+
+// POST /account/2fa/disable - Turn 2FA off ({password} required)
+router.post('/2fa/disable', ensureAuth, accountController.disableTwoFactor)
+
+module.exports = router
@@ -0,0 +1,33 @@
+// ADMIN ROUTES
+// ============
+// The admin console: manage user accounts and read the audit log
+// Only users with role 'admin' get in (see scripts/make-admin.js)
+
+const express = require('express')
+const router = express.Router()
+const adminController = require('../controllers/admin')
+const { ensureAuth, ensureAdmin } = require('../middleware/auth')
+
+// USERS
+// =====
+// GET /admin - Search and page through users, with their todo counts (?q=&page=)
+router.get('/', ensureAuth, ensureAdmin, adminController.listUsers)
+
+// POST /admin/users/:userId/lock - Lock the account and sign it out everywhere
+router.post('/users/:userId/lock', ensureAuth, ensureAdmin, adminController.lockUser)
+
+// POST /admin/users/:userId/unlock - Let a locked account log in again
+router.post('/users/:userId/unlock', ensureAuth, ensureAdmin, adminController.unlockUser)
+
+// POST /admin/users/:userId/reset-password - Clear the password and email a reset link
+router.post('/users/:userId/reset-password', ensureAuth, ensureAdmin, adminController.forcePasswordReset)
+
+// POST /admin/users/:userId/delete - Delete the account with its lists, todos and sessions
+router.post('/users/:userId/delete', ensureAuth, ensureAdmin, adminController.deleteUser)
+
+// AUDIT LOG
+// =========
+// GET /admin/audit - Every admin action, newest first (?page=)
+router.get('/audit', ensureAuth, ensureAdmin, adminController.getAuditLog)
+
+module.exports = router
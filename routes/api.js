@@ -0,0 +1,73 @@
+// API ROUTES - VERSIONED JSON INTERFACE
+// =====================================
+// This file defines the /api/v1 JSON endpoints used by scripts and mobile clients
+// They share controllers/todos.js with the EJS pages but always answer with JSON
+
+const express = require('express')
+const router = express.Router()
+const todosController = require('../controllers/todos')
+const listsController = require('../controllers/lists')
+const activityController = require('../controllers/activity')
+const statsController = require('../controllers/stats')
+const { ensureAuth, ensureVerified, requireListRole, requireTodoRole } = require('../middleware/auth')
+
+// Every API route also accepts a personal access token (Authorization: Bearer <token>)
+// instead of the session cookie; server.js checks it before CSRF, so ensureAuth sees the token's user
+
+// TODO RESOURCE
+// =============
+// GET    /api/v1/todos      - List todos in ?list= (default list if omitted) (200, 404)
+// POST   /api/v1/todos      - Create a todo in body.listId    (201, 400, 403, 404)
+// GET    /api/v1/todos/:todoId - Fetch a single todo          (200, 400, 404)
+// PATCH  /api/v1/todos/:todoId - Update any writable field    (200, 400, 403, 404, 409)
+// DELETE /api/v1/todos/:todoId - Move a todo to the trash    (204, 400, 403, 404)
+// POST   /api/v1/todos/:todoId/restore - Take it out of the trash again (200, 400, 403, 404, 409)
+// Reading needs viewer access to the todo's list, changing it needs editor
+router.get('/todos', ensureAuth, requireListRole('viewer'), todosController.apiListTodos)
+router.post('/todos', ensureAuth, requireListRole('editor'), todosController.apiCreateTodo)
+router.get('/todos/:todoId', ensureAuth, requireTodoRole('viewer'), todosController.apiGetTodo)
+router.patch('/todos/:todoId', ensureAuth, requireTodoRole('editor'), todosController.apiUpdateTodo)
+router.delete('/todos/:todoId', ensureAuth, requireTodoRole('editor'), todosController.apiDeleteTodo)
+router.post('/todos/:todoId/restore', ensureAuth, requireTodoRole('editor', {trashed: true}), todosController.apiRestoreTodo)
+
+// ACTIVITY
+// ========
+// GET /api/v1/todos/:todoId/activity - One todo's history, newest first (200, 400, 404)
+// GET /api/v1/activity - Recent activity in the user's lists (?list=, ?actor=me, ?limit=, ?before=) (200, 400, 404)
+// Entries record who created, edited, completed, reopened, deleted or restored a todo, and when
+router.get('/todos/:todoId/activity', ensureAuth, requireTodoRole('viewer'), activityController.apiTodoActivity)
+router.get('/activity', ensureAuth, activityController.apiRecentActivity)
+
+// STATS
+// =====
+// GET /api/v1/stats - The /stats page's numbers (?period=day|week, ?list=) (200, 400, 404)
+router.get('/stats', ensureAuth, statsController.apiStats)
+
+// SUBTASKS
+// ========
+// POST   /api/v1/todos/:todoId/subtasks            - Add {text}            (201, 400, 403, 404)
+// PATCH  /api/v1/todos/:todoId/subtasks/:subtaskId - Update {text, completed, completeParent} (200, 400, 403, 404)
+// DELETE /api/v1/todos/:todoId/subtasks/:subtaskId - Remove a subtask      (200, 403, 404)
+// Same access rules as the parent todo; each answer contains the updated todo
+router.post('/todos/:todoId/subtasks', ensureAuth, requireTodoRole('editor'), todosController.addSubtask)
+router.patch('/todos/:todoId/subtasks/:subtaskId', ensureAuth, requireTodoRole('editor'), todosController.updateSubtask)
+router.delete('/todos/:todoId/subtasks/:subtaskId', ensureAuth, requireTodoRole('editor'), todosController.deleteSubtask)
+
+// LIST RESOURCE
+// =============
+// GET    /api/v1/lists      - The user's lists with unfinished counts (200)
+// POST   /api/v1/lists      - Create a list                   (201, 400)
+// PATCH  /api/v1/lists/:listId - Rename and/or (un)archive    (200, 400, 403, 404, 409)
+// DELETE /api/v1/lists/:listId - Delete a list and its todos  (204, 403, 404, 409)
+// GET    /api/v1/lists/:listId/members         - Who has access (200, 404)
+// POST   /api/v1/lists/:listId/members         - Share {identifier, role} (200, 201, 400, 403, 404, 409)
+// DELETE /api/v1/lists/:listId/members/:userId - Revoke or leave (200, 204, 403, 404, 409)
+router.get('/lists', ensureAuth, listsController.apiListLists)
+router.post('/lists', ensureAuth, listsController.apiCreateList)
+router.patch('/lists/:listId', ensureAuth, requireListRole('owner'), listsController.updateList)
+router.delete('/lists/:listId', ensureAuth, requireListRole('owner'), listsController.deleteList)
+router.get('/lists/:listId/members', ensureAuth, requireListRole('viewer'), listsController.getMembers)
+router.post('/lists/:listId/members', ensureAuth, ensureVerified, requireListRole('owner'), listsController.shareList)
+router.delete('/lists/:listId/members/:userId', ensureAuth, requireListRole('viewer'), listsController.revokeMember)
+
+module.exports = router
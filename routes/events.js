@@ -0,0 +1,16 @@
+// EVENT STREAM ROUTES - REAL-TIME SYNC
+// ====================================
+// Browsers open GET /events with EventSource and receive todo/list changes
+// made in other tabs, on other devices or by collaborators
+
+const express = require('express')
+const router = express.Router()
+const eventsController = require('../controllers/events')
+const { ensureAuth } = require('../middleware/auth')
+
+// GET /events - Server-Sent Events stream for the signed-in user
+// Events: todo:created, todo:updated, todo:moved, todo:deleted, list:changed, list:deleted
+// Every event carries the listId; todo events also carry the list's new `left` count
+router.get('/', ensureAuth, eventsController.stream)
+
+module.exports = router
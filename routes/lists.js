@@ -0,0 +1,31 @@
+// LIST ROUTES - NAMED TODO LISTS
+// ==============================
+// Create, rename, archive, delete and share the user's lists
+// The lists themselves are shown in the sidebar of GET /todos?list=<id>
+
+const express = require('express')
+const router = express.Router()
+const listsController = require('../controllers/lists')
+const { ensureAuth, ensureVerified, requireListRole } = require('../middleware/auth')
+
+// POST /lists - Create a list (sidebar form), then redirect to it
+router.post('/', ensureAuth, listsController.createList)
+
+// PUT /lists/:listId - Rename ({name}) and/or archive ({archived: true|false}) a list (owners)
+router.put('/:listId', ensureAuth, requireListRole('owner'), listsController.updateList)
+
+// DELETE /lists/:listId - Delete a list and every todo in it (owners, not the default list)
+router.delete('/:listId', ensureAuth, requireListRole('owner'), listsController.deleteList)
+
+// SHARING
+// =======
+// GET /lists/:listId/members - Everyone on the list and their role
+router.get('/:listId/members', ensureAuth, requireListRole('viewer'), listsController.getMembers)
+
+// POST /lists/:listId/members - Share with {identifier: user name or email, role} (owners with a confirmed email)
+router.post('/:listId/members', ensureAuth, ensureVerified, requireListRole('owner'), listsController.shareList)
+
+// DELETE /lists/:listId/members/:userId - Revoke access (owners), or leave the list (yourself)
+router.delete('/:listId/members/:userId', ensureAuth, requireListRole('viewer'), listsController.revokeMember)
+
+module.exports = router
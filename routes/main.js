@@ -30,11 +30,26 @@ router.get('/login', authController.getLogin)
 // This triggers the Passport.js authentication process
 router.post('/login', authController.postLogin)
 
+// Two-Factor Step (accounts with 2FA, after the password was accepted)
+// GET /login/2fa - Ask for the authenticator or recovery code
+router.get('/login/2fa', authController.getTwoFactor)
+
+// POST /login/2fa - Check the code and finish logging in
+router.post('/login/2fa', authController.postTwoFactor)
+
+// Sign-In Provider Routes (OpenID Connect, configured with OIDC_PROVIDERS)
+// -----------------------
+// GET /auth/:provider - Redirect to the provider's login (also connects it when logged in)
+router.get('/auth/:provider', authController.startProviderLogin)
+
+// GET /auth/:provider/callback - The provider redirects back here with the result
+router.get('/auth/:provider/callback', authController.providerCallback)
+
 // Logout Route
 // ------------
-// GET /logout - Log user out and destroy session
-// Note: This could also be POST for better security practices
-router.get('/logout', authController.logout)
+// POST /logout - Log user out and destroy session
+// POST (with the CSRF token) so a link on another site can't sign users out
+router.post('/logout', authController.logout)
 
 // Registration Routes
 // -------------------
@@ -45,6 +60,28 @@ router.get('/signup', authController.getSignup)
 // Creates new user account and automatically logs them in
 router.post('/signup', authController.postSignup)
 
+// Password Reset Routes
+// ---------------------
+// GET /forgot - Ask for the account's email address
+router.get('/forgot', authController.getForgot)
+
+// POST /forgot - Email a time-limited, single-use reset link
+router.post('/forgot', authController.postForgot)
+
+// GET /reset/:token - Choose a new password (valid token only)
+router.get('/reset/:token', authController.getReset)
+
+// POST /reset/:token - Save the new password and use up the token
+router.post('/reset/:token', authController.postReset)
+
+// Email Verification Routes
+// -------------------------
+// GET /verify/:token - Link from the verification email (works logged in or out)
+router.get('/verify/:token', authController.getVerifyEmail)
+
+// POST /verify/resend - Email a fresh verification link to the logged-in user
+router.post('/verify/resend', ensureAuth, authController.postResendVerification)
+
 /*
 AUTHENTICATION ROUTE WORKFLOW:
 ==============================
@@ -54,19 +91,28 @@ AUTHENTICATION ROUTE WORKFLOW:
 
 2. RETURNING USER JOURNEY:
    GET / → GET /login → POST /login → Redirect to /todos (logged in)
+   With 2FA: POST /login → GET /login/2fa → POST /login/2fa → Redirect to /todos
+   With a provider: GET /auth/:provider → provider login → GET /auth/:provider/callback → Redirect to /todos
 
 3. LOGOUT JOURNEY:
-   GET /logout → Destroy session → Redirect to / (logged out)
+   POST /logout → Destroy session → Redirect to / (logged out)
+
+4. FORGOTTEN PASSWORD JOURNEY:
+   GET /forgot → POST /forgot → email link → GET /reset/:token → POST /reset/:token → Redirect to /login
+
+5. EMAIL VERIFICATION JOURNEY:
+   POST /signup sends a link → GET /verify/:token → emailVerified = true
 
-4. MIDDLEWARE USAGE:
+6. MIDDLEWARE USAGE:
    - No ensureAuth needed here (these are public auth routes)
    - ensureGuest could be added to login/signup to redirect already authenticated users
    - This creates a clean separation between public and protected routes
 
-5. SECURITY CONSIDERATIONS:
+7. SECURITY CONSIDERATIONS:
    - Login/signup forms should use HTTPS in production
-   - CSRF protection should be added for POST routes
-   - Rate limiting should be implemented to prevent brute force attacks
+   - Every POST is checked for a CSRF token (middleware/csrf.js, mounted in server.js)
+   - Failed logins are throttled per IP and lock the account after repeated failures
+     (utils/throttle.js and LOCKOUT in models/User.js)
    - Input validation is handled in the controllers
 */
 
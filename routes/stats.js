@@ -0,0 +1,14 @@
+// STATS ROUTES
+// ============
+// The productivity dashboard (the same numbers are at GET /api/v1/stats)
+
+const express = require('express')
+const router = express.Router()
+const statsController = require('../controllers/stats')
+const { ensureAuth } = require('../middleware/auth')
+
+// GET /stats - Created vs completed per day or week, time to completion,
+// streak, overdue todos and tag/priority breakdowns (?period=day|week&list=)
+router.get('/', ensureAuth, statsController.getStats)
+
+module.exports = router
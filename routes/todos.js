@@ -6,60 +6,120 @@
 const express = require('express')
 const router = express.Router()
 const todosController = require('../controllers/todos') 
-const { ensureAuth } = require('../middleware/auth')
+const importExportController = require('../controllers/importExport')
+const { importFile } = require('../middleware/upload')
+const activityController = require('../controllers/activity')
+const { ensureAuth, requireListRole, requireTodoRole } = require('../middleware/auth')
 
 // PROTECTED ROUTE - VIEW TODOS
 // ============================
 // GET /todos - Display user's todo list
 // ensureAuth middleware ensures only logged-in users can access this
 // If user is not authenticated, they'll be redirected to login page
-router.get('/', ensureAuth, todosController.getTodos)
+router.get('/', ensureAuth, requireListRole('viewer'), todosController.getTodos)
 
 // PROTECTED ROUTES - TODO OPERATIONS
 // ==================================
-// Note: These routes are missing ensureAuth middleware!
-// This is a potential security issue - unauthorized users could potentially access these routes
-// In a production app, ALL todo routes should have ensureAuth middleware
+// Every operation requires a logged-in user with at least editor access
+// to the list involved (todos in lists they can't see answer 404)
+
+// GET /todos/item/:todoId - One todo's details and history (viewer access is enough)
+router.get('/item/:todoId', ensureAuth, requireTodoRole('viewer'), activityController.getTodoDetail)
+
+// GET /todos/item/:todoId/row - The todo's row of the list page, for main.js to swap in after a change
+router.get('/item/:todoId/row', ensureAuth, requireTodoRole('viewer'), todosController.getTodoRow)
 
 // POST /todos/createTodo - Create a new todo item
-// TODO: Add ensureAuth middleware for security
-router.post('/createTodo', todosController.createTodo)
+router.post('/createTodo', ensureAuth, requireListRole('editor'), todosController.createTodo)
 
-// PUT /todos/markComplete - Mark a todo as completed
-// TODO: Add ensureAuth middleware for security
-router.put('/markComplete', todosController.markComplete)
+// PUT /todos/markComplete - Mark a todo as completed ({completeSubtasks: true} ticks off its checklist too)
+router.put('/markComplete', ensureAuth, requireTodoRole('editor'), todosController.markComplete)
 
 // PUT /todos/markIncomplete - Mark a todo as incomplete
-// TODO: Add ensureAuth middleware for security
-router.put('/markIncomplete', todosController.markIncomplete)
+router.put('/markIncomplete', ensureAuth, requireTodoRole('editor'), todosController.markIncomplete)
 
-// DELETE /todos/deleteTodo - Delete a todo item
-// TODO: Add ensureAuth middleware for security
-router.delete('/deleteTodo', todosController.deleteTodo)
+// PUT /todos/editTodo - Change the text of a todo item
+router.put('/editTodo', ensureAuth, requireTodoRole('editor'), todosController.editTodo)
 
-/*
-AUTHENTICATION PROTECTION ANALYSIS:
-===================================
+// DELETE /todos/deleteTodo - Move a todo item to the trash
+router.delete('/deleteTodo', ensureAuth, requireTodoRole('editor'), todosController.deleteTodo)
+
+// TRASH
+// =====
+// Only ever the user's own trash; restoring needs editor access to the todo's list again
+// GET /todos/trash - Trashed todos, with restore and delete-for-good buttons
+router.get('/trash', ensureAuth, todosController.getTrash)
+
+// PUT /todos/restore - Undo a delete ({todoIdFromJSFile}, JSON)
+router.put('/restore', ensureAuth, requireTodoRole('editor', {trashed: true}), todosController.restoreTodo)
+
+// POST /todos/trash/empty - Delete everything in the trash for good
+router.post('/trash/empty', ensureAuth, todosController.emptyTrash)
+
+// POST /todos/trash/:todoId/restore - Restore from the trash page
+router.post('/trash/:todoId/restore', ensureAuth, requireTodoRole('editor', {trashed: true}), todosController.restoreFromTrashPage)
+
+// POST /todos/trash/:todoId/delete - Delete one trashed todo for good
+router.post('/trash/:todoId/delete', ensureAuth, requireTodoRole('editor', {trashed: true}), todosController.deleteForever)
+
+// SUBTASKS
+// ========
+// The checklist inside a todo ({todoIdFromJSFile} in every body, like the routes above)
+// POST /todos/subtasks - Add a subtask ({text})
+router.post('/subtasks', ensureAuth, requireTodoRole('editor'), todosController.addSubtask)
+
+// PUT /todos/subtasks/:subtaskId - Edit or tick off a subtask ({text, completed, completeParent})
+router.put('/subtasks/:subtaskId', ensureAuth, requireTodoRole('editor'), todosController.updateSubtask)
 
-CURRENT STATE:
-- Only GET /todos route is protected with ensureAuth
-- All other todo operations (create, update, delete) are NOT protected
-- This creates a security vulnerability
+// DELETE /todos/subtasks/:subtaskId - Remove a subtask
+router.delete('/subtasks/:subtaskId', ensureAuth, requireTodoRole('editor'), todosController.deleteSubtask)
 
-RECOMMENDED IMPROVEMENTS:
-1. Add ensureAuth to all routes:
-   router.post('/createTodo', ensureAuth, todosController.createTodo)
-   router.put('/markComplete', ensureAuth, todosController.markComplete)
-   router.put('/markIncomplete', ensureAuth, todosController.markIncomplete)
-   router.delete('/deleteTodo', ensureAuth, todosController.deleteTodo)
+// PUT /todos/recurrence - Make a todo repeat, change how, or stop it repeating
+router.put('/recurrence', ensureAuth, requireTodoRole('editor'), todosController.setRecurrence)
+
+// PUT /todos/reorder - Save a drag-and-drop move (see Todo.moveBetween)
+router.put('/reorder', ensureAuth, requireTodoRole('editor'), todosController.reorderTodo)
+
+// POST /todos/preferences - Choose whether new todos go to the top or bottom
+router.post('/preferences', ensureAuth, todosController.setNewTodoPosition)
+
+// BULK OPERATIONS
+// ===============
+// PUT /todos/toggleAll - Mark every todo complete ({completed: true}) or active ({completed: false})
+router.put('/toggleAll', ensureAuth, requireListRole('editor'), todosController.toggleAll)
+
+// DELETE /todos/clearCompleted - Move every completed todo to the trash
+router.delete('/clearCompleted', ensureAuth, requireListRole('editor'), todosController.clearCompleted)
+
+// IMPORT / EXPORT
+// ===============
+// GET /todos/export?format=json|csv|markdown&list= - Download one list, or every list without ?list=
+router.get('/export', ensureAuth, importExportController.exportTodos)
+
+// GET /todos/import - Upload form
+router.get('/import', ensureAuth, importExportController.getImport)
+
+// POST /todos/import - Preview an uploaded file (multipart: file, listId, format)
+// The file is only parsed for logged-in users; the list comes from the parsed form
+router.post('/import', ensureAuth, importFile, requireListRole('editor'), importExportController.previewImport)
+
+// POST /todos/import/confirm - Create the previewed todos ({listId})
+router.post('/import/confirm', ensureAuth, requireListRole('editor'), importExportController.confirmImport)
+
+/*
+AUTHENTICATION PROTECTION:
+==========================
 
-2. Or apply middleware to entire router:
-   router.use(ensureAuth) // Protect all routes in this file
+- Every route in this file is guarded by ensureAuth
+- fetch() calls from public/js/main.js get a JSON 401 instead of a redirect
+- requireListRole / requireTodoRole then check the user's role on the list
+  (viewer to read, editor to change) - a todo in a list the user isn't a
+  member of behaves exactly like one that doesn't exist (404)
 
 WORKFLOW WITH PROPER AUTHENTICATION:
 1. User visits /todos
 2. ensureAuth middleware checks if user is logged in
-3. If not authenticated: redirect to login page
+3. If not authenticated: redirect to login page (or JSON 401 for fetch/API calls)
 4. If authenticated: continue to todo controller
 5. Controller has access to req.user (current logged-in user)
 6. Operations are scoped to the current user's data
@@ -0,0 +1,50 @@
+// GRANT OR REMOVE THE ADMIN ROLE
+// ==============================
+// Usage: npm run make-admin -- someone@example.com
+//        npm run make-admin -- someone@example.com --remove
+// The admin console can't create admins, so the first one (and every other)
+// is made from the command line by someone with database access
+
+const path = require('path')
+const mongoose = require('mongoose')
+const log = require('../config/logger')
+
+require('dotenv').config({path: path.join(__dirname, '../config/.env')})
+
+const User = require('../models/User')
+const AuditLog = require('../models/AuditLog')
+
+const run = async () => {
+  const args = process.argv.slice(2)
+  const email = args.find(arg => !arg.startsWith('--'))
+  const role = args.includes('--remove') ? 'user' : 'admin'
+  if (!email) {
+    log.error('Usage: npm run make-admin -- <email> [--remove]')
+    process.exitCode = 1
+    return
+  }
+
+  await mongoose.connect(process.env.DB_STRING)
+  const user = await User.findOne({ email: email.toLowerCase() })
+  if (!user) {
+    log.error('No user with that email', { email })
+    process.exitCode = 1
+    return
+  }
+  if (user.role === role) {
+    log.info('Role unchanged', { userId: user.id, email: user.email, role })
+    return
+  }
+  // On record first, like the admin console's actions
+  await AuditLog.recordFromCommandLine('user.role', user, { from: user.role, to: role })
+  user.role = role
+  await user.save()
+  log.info('Role updated', { userId: user.id, email: user.email, role })
+}
+
+run()
+  .catch(err => {
+    log.error('Changing the role failed', { err })
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
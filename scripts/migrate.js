@@ -0,0 +1,37 @@
+// DATABASE MIGRATION RUNNER
+// =========================
+// Usage: npm run migrate
+// Runs every file in /migrations (in filename order) that hasn't run yet
+// Applied migrations are recorded in the `migrations` collection
+
+const fs = require('fs')
+const path = require('path')
+const mongoose = require('mongoose')
+const log = require('../config/logger')
+
+require('dotenv').config({path: path.join(__dirname, '../config/.env')})
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations')
+
+const run = async () => {
+  await mongoose.connect(process.env.DB_STRING)
+  const applied = mongoose.connection.collection('migrations')
+
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.js')).sort()
+  for (const file of files) {
+    if (await applied.findOne({ name: file })) continue
+
+    log.info('Running migration', { name: file })
+    const migration = require(path.join(MIGRATIONS_DIR, file))
+    await migration.up(mongoose.connection.db)
+    await applied.insertOne({ name: file, appliedAt: new Date() })
+  }
+  log.info('Migrations complete')
+}
+
+run()
+  .catch(err => {
+    log.error('Migration failed', { err })
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
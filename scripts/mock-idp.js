@@ -0,0 +1,44 @@
+// LOCAL MOCK IDENTITY PROVIDER
+// ============================
+// Usage: npm run mock-idp
+// Starts an OpenID Connect provider on http://localhost:8080 that signs
+// everyone in as one test user, without asking - for trying "Sign in with ..."
+// locally. Add to config/.env:
+//
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:8080
+//   OIDC_MOCK_CLIENT_ID=todo-app
+//   OIDC_MOCK_CLIENT_SECRET=anything
+//   OIDC_MOCK_LABEL=Mock provider
+//
+// The test user can be changed with MOCK_IDP_SUB, MOCK_IDP_EMAIL and MOCK_IDP_NAME
+
+const { OAuth2Server } = require('oauth2-mock-server')
+const log = require('../config/logger')
+
+const PORT = Number(process.env.MOCK_IDP_PORT) || 8080
+
+const claims = {
+  sub: process.env.MOCK_IDP_SUB || 'mock-user-1',
+  email: process.env.MOCK_IDP_EMAIL || 'mock.user@example.com',
+  email_verified: true,
+  name: process.env.MOCK_IDP_NAME || 'Mock User',
+  preferred_username: 'mockuser'
+}
+
+const run = async () => {
+  const server = new OAuth2Server()
+  await server.issuer.keys.generate('RS256')
+
+  // Put the test user in every ID token and userinfo answer
+  server.service.on('beforeTokenSigning', (token) => Object.assign(token.payload, claims))
+  server.service.on('beforeUserinfo', (userInfoResponse) => { userInfoResponse.body = claims })
+
+  await server.start(PORT, 'localhost')
+  log.info('Mock identity provider running', { issuer: server.issuer.url, user: claims.email })
+}
+
+run().catch((err) => {
+  log.error('Mock identity provider failed to start', { err })
+  process.exit(1)
+})
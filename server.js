@@ -9,10 +9,23 @@ const passport = require('passport')           // Main Passport.js library for a
 const session = require('express-session')    // Session management for user persistence
 const MongoStore = require('connect-mongo')(session) // Store sessions in MongoDB
 const flash = require('express-flash')        // Flash messages for user feedback
-const logger = require('morgan')
+const morgan = require('morgan')                // HTTP access logging
+const log = require('./config/logger')         // Structured application logger
 const connectDB = require('./config/database')
+const mailer = require('./config/mailer')
 const mainRoutes = require('./routes/main')
 const todoRoutes = require('./routes/todos')
+const listRoutes = require('./routes/lists')
+const accountRoutes = require('./routes/account')
+const adminRoutes = require('./routes/admin')
+const statsRoutes = require('./routes/stats')
+const eventRoutes = require('./routes/events')
+const apiRoutes = require('./routes/api')
+const { notFound, errorHandler } = require('./middleware/errors')
+const csrf = require('./middleware/csrf')
+const { authenticateToken } = require('./middleware/auth')
+const trackSession = require('./middleware/session')
+const { startPurging } = require('./utils/trash')
 
 // Load environment variables from .env file
 require('dotenv').config({path: './config/.env'})
@@ -23,29 +36,67 @@ require('dotenv').config({path: './config/.env'})
 // This must be done BEFORE initializing Passport middleware
 require('./config/passport')(passport)
 
-// Connect to MongoDB database
-connectDB()
+// Connect to MongoDB database, then start emptying old trash (see utils/trash.js)
+connectDB().then(startPurging)
 
 // BASIC EXPRESS MIDDLEWARE SETUP
 // ==============================
 app.set('view engine', 'ejs')              // Set EJS as template engine
+// Behind a reverse proxy, trust its X-Forwarded-For so req.ip (used to throttle logins) is the real client
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY)
 app.use(express.static('public'))           // Serve static files
 app.use(express.urlencoded({ extended: true })) // Parse form data
 app.use(express.json())                     // Parse JSON data
-app.use(logger('dev'))                      // HTTP request logging
+app.use(morgan('dev', { stream: log.stream })) // HTTP request logging through the structured logger
 
 // SESSION CONFIGURATION FOR AUTHENTICATION
 // =========================================
 // Sessions are CRITICAL for Passport.js to work
 // They store user authentication state between requests
+// SESSION_SECRET in config/.env signs the cookie. To rotate it, put the new
+// secret first: "new,old" - new cookies use the first, any of them are accepted
+const sessionSecrets = (process.env.SESSION_SECRET || '').split(',').map(s => s.trim()).filter(Boolean)
+if (!sessionSecrets.length) {
+  if (process.env.NODE_ENV === 'production') {
+    log.error('SESSION_SECRET must be set in config/.env')
+    process.exit(1)
+  }
+  // Development only: a throwaway secret means everyone is logged out on restart
+  log.warn('SESSION_SECRET is not set - using a random secret for this run')
+  sessionSecrets.push(require('crypto').randomBytes(32).toString('hex'))
+}
+
+// EMAIL CONFIGURATION CHECK
+// =========================
+// Emailed links are built from APP_URL (never the Host header), and the console/file
+// mail transports would leave reset tokens in logs - so production needs both set up
+if (process.env.NODE_ENV === 'production') {
+  const problems = [
+    !process.env.APP_URL && 'APP_URL must be set in config/.env',
+    mailer.configError()
+  ].filter(Boolean)
+  if (problems.length) {
+    problems.forEach(problem => log.error(problem))
+    process.exit(1)
+  }
+}
+
 app.use(
     session({
-      secret: 'keyboard cat',           // Secret key for signing session cookies (should be in .env!)
+      secret: sessionSecrets,           // First secret signs, all of them verify
       resave: false,                    // Don't save session if unmodified
       saveUninitialized: false,         // Don't create session until something stored
       store: new MongoStore({ 
-        mongooseConnection: mongoose.connection // Store sessions in MongoDB (persists across server restarts)
+        mongooseConnection: mongoose.connection, // Store sessions in MongoDB (persists across server restarts)
+        stringify: false                         // As objects, so models/Session.js can find a user's sessions
       }),
+      cookie: {
+        httpOnly: true,                 // Not readable from page scripts
+        sameSite: 'lax',                // Not sent on cross-site POSTs (CSRF defence in depth)
+        // HTTPS-only in production - behind a proxy that terminates TLS, set TRUST_PROXY
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: 14 * 24 * 60 * 60 * 1000 // 2 weeks, same as the session store's default expiry
+      }
     })
   )
   
@@ -54,17 +105,42 @@ app.use(
 // These middlewares MUST come after session middleware and BEFORE routes
 app.use(passport.initialize())  // Initialize Passport.js
 app.use(passport.session())     // Enable persistent login sessions (deserialize user from session)
+app.use(trackSession)           // Remember each session's device for the /account/sessions page
 
 // FLASH MESSAGES MIDDLEWARE
 // =========================
 // Must come after session middleware - used for displaying error/success messages
 app.use(flash())
+
+// API TOKENS
+// ==========
+// /api/v1 also accepts a personal access token (Authorization: Bearer <token>)
+// It's checked before CSRF, which skips requests the token authenticated
+app.use('/api/v1', authenticateToken)
+
+// CSRF PROTECTION
+// ===============
+// Needs the session; checks every POST/PUT/PATCH/DELETE below
+app.use(csrf)
   
 // ROUTE CONFIGURATION
 // ===================
 app.use('/', mainRoutes)     // Routes for authentication (login, signup, logout)
 app.use('/todos', todoRoutes) // Protected routes for todo functionality
+app.use('/lists', listRoutes) // Protected routes for managing named lists
+app.use('/account', accountRoutes) // Protected routes for the user's own account settings
+app.use('/admin', adminRoutes) // Admin console (role 'admin' only)
+app.use('/stats', statsRoutes) // Productivity dashboard
+app.use('/events', eventRoutes) // Server-Sent Events stream for real-time sync
+app.use('/api/v1', apiRoutes) // Versioned JSON API for scripts and mobile clients
+
+// ERROR HANDLING
+// ==============
+// Must come AFTER all routes - anything unmatched becomes a 404, and every
+// error passed to next(err) is rendered as an error page or JSON envelope
+app.use(notFound)
+app.use(errorHandler)
  
 app.listen(process.env.PORT, ()=>{
-    console.log('Server is running, you better catch it!')
+    log.info('Server is running, you better catch it!', { port: process.env.PORT })
 })    
\ No newline at end of file
@@ -0,0 +1,68 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { nextOccurrence, parseRecurrence, describe } = require('../utils/recurrence')
+
+const day = (text) => new Date(`${text}T00:00:00Z`)
+const iso = (date) => date && date.toISOString().slice(0, 10)
+const now = day('2026-03-02') // a Monday
+
+test('daily and interval rules step forward from the due date', () => {
+  assert.strictEqual(iso(nextOccurrence({ frequency: 'daily' }, { dueDate: day('2026-03-02'), now })), '2026-03-03')
+  assert.strictEqual(iso(nextOccurrence({ frequency: 'interval', interval: 10 }, { dueDate: day('2026-03-02'), now })), '2026-03-12')
+})
+
+test('weekly rules go to the next listed weekday', () => {
+  const rule = { frequency: 'weekly', weekdays: [1, 4] } // Mon, Thu
+  assert.strictEqual(iso(nextOccurrence(rule, { dueDate: day('2026-03-02'), now })), '2026-03-05')
+  assert.strictEqual(iso(nextOccurrence(rule, { dueDate: day('2026-03-05'), now })), '2026-03-09')
+})
+
+test('monthly rules use the last day of shorter months', () => {
+  const rule = { frequency: 'monthly', dayOfMonth: 31 }
+  const january = day('2026-01-31')
+  assert.strictEqual(iso(nextOccurrence(rule, { dueDate: january, now: january })), '2026-02-28')
+  assert.strictEqual(iso(nextOccurrence(rule, { dueDate: day('2026-02-28'), now: january })), '2026-03-31')
+  assert.strictEqual(iso(nextOccurrence(rule, { dueDate: day('2023-12-31'), now: day('2023-12-31') })), '2024-01-31')
+})
+
+test('occurrences in the past are skipped', () => {
+  assert.strictEqual(iso(nextOccurrence({ frequency: 'daily' }, { dueDate: day('2026-01-01'), now })), '2026-03-02')
+})
+
+test('without a due date the series starts from today', () => {
+  assert.strictEqual(iso(nextOccurrence({ frequency: 'daily' }, { now })), '2026-03-03')
+})
+
+test('the series ends after its end date', () => {
+  const rule = { frequency: 'daily', endDate: day('2026-03-03') }
+  assert.strictEqual(iso(nextOccurrence(rule, { dueDate: day('2026-03-02'), now })), '2026-03-03')
+  assert.strictEqual(nextOccurrence(rule, { dueDate: day('2026-03-03'), now }), null)
+})
+
+test('parseRecurrence validates and keeps only the fields a frequency uses', () => {
+  assert.deepStrictEqual(parseRecurrence(null), { errors: [], value: null })
+  assert.deepStrictEqual(parseRecurrence({ frequency: 'daily', interval: 5 }).value, { frequency: 'daily' })
+  assert.deepStrictEqual(parseRecurrence({ frequency: 'weekly', weekdays: ['4', 1, 4] }).value, { frequency: 'weekly', weekdays: [1, 4] })
+  assert.deepStrictEqual(parseRecurrence({ frequency: 'weekly' }, { dueDate: now }).value, { frequency: 'weekly', weekdays: [1] })
+  assert.deepStrictEqual(parseRecurrence({ frequency: 'monthly' }, { dueDate: now }).value, { frequency: 'monthly', dayOfMonth: 2 })
+
+  const invalid = [
+    'daily',
+    [],
+    { frequency: 'yearly' },
+    { frequency: 'interval', interval: 0 },
+    { frequency: 'interval', interval: 366 },
+    { frequency: 'weekly', weekdays: [7] },
+    { frequency: 'weekly', weekdays: 'mon' },
+    { frequency: 'monthly', dayOfMonth: 32 },
+    { frequency: 'daily', endDate: 'soon' }
+  ]
+  invalid.forEach(input => assert.strictEqual(parseRecurrence(input).errors.length, 1, JSON.stringify(input)))
+  assert.strictEqual(parseRecurrence({ frequency: 'daily', endDate: '2026-03-01' }, { dueDate: now }).errors.length, 1)
+})
+
+test('describe reads like the list page shows it', () => {
+  assert.strictEqual(describe(null), '')
+  assert.strictEqual(describe({ frequency: 'interval', interval: 3 }), 'Every 3 days')
+  assert.strictEqual(describe({ frequency: 'weekly', weekdays: [4, 1], endDate: day('2026-12-31') }), 'Weekly on Mon, Thu until 2026-12-31')
+})
@@ -0,0 +1,126 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const passport = require('passport')
+const User = require('../models/User')
+const ApiToken = require('../models/ApiToken')
+const { authenticateToken } = require('../middleware/auth')
+const csrf = require('../middleware/csrf')
+const { ForbiddenError, UnauthorizedError } = require('../utils/errors')
+
+// Just enough of an Express request for the middleware under test
+const fakeRequest = ({ method = 'POST', url = '/api/v1/todos', headers = {}, body = {}, session = {} } = {}) => ({
+  method,
+  originalUrl: url,
+  body,
+  query: {},
+  session,
+  xhr: false,
+  get: (name) => headers[name.toLowerCase()],
+  is: () => false,
+  accepts: () => 'json',
+  flash: () => {}
+})
+
+// Run a middleware and resolve with what it passed to next()
+const run = (middleware, req) => new Promise((resolve) => {
+  middleware(req, { locals: {}, redirect: () => resolve('redirect') }, (err) => resolve(err || 'next'))
+})
+
+// Make passport's bearer strategy answer with `user` and `info`
+const stubBearer = (t, user, info) => {
+  t.mock.method(passport, 'authenticate', (name, options, callback) => () => callback(null, user, info))
+}
+
+test('reset tokens are random, stored hashed and expire after an hour', () => {
+  const user = new User({ userName: 'ada', email: 'ada@example.com' })
+  const before = Date.now()
+  const token = user.createToken('passwordReset')
+  assert.match(token, /^[0-9a-f]{64}$/)
+  assert.notStrictEqual(user.tokens.passwordReset.hash, token)
+  assert.match(user.tokens.passwordReset.hash, /^[0-9a-f]{64}$/)
+  const ttl = user.tokens.passwordReset.expiresAt - before
+  assert.ok(ttl >= 60 * 60 * 1000 && ttl < 60 * 60 * 1000 + 1000)
+  assert.notStrictEqual(user.createToken('passwordReset'), token)
+})
+
+test('reset token lookups match the hash and skip expired tokens', async (t) => {
+  const user = new User({ userName: 'ada', email: 'ada@example.com' })
+  const token = user.createToken('passwordReset')
+  const findOne = t.mock.method(User, 'findOne', async () => user)
+
+  assert.strictEqual(await User.findByToken('passwordReset', token), user)
+  const [filter] = findOne.mock.calls[0].arguments
+  assert.strictEqual(filter['tokens.passwordReset.hash'], user.tokens.passwordReset.hash)
+  assert.ok(filter['tokens.passwordReset.expiresAt'].$gt instanceof Date)
+
+  // Malformed tokens never reach the database
+  for (const bad of [undefined, '', 'abc', token.toUpperCase(), { $ne: null }]) {
+    assert.strictEqual(await User.findByToken('passwordReset', bad), null)
+  }
+  assert.strictEqual(findOne.mock.callCount(), 1)
+})
+
+test('API token lookups need the token prefix', async (t) => {
+  const findOne = t.mock.method(ApiToken, 'findOne', async () => null)
+  assert.strictEqual(await ApiToken.findByToken('a'.repeat(64)), null)
+  assert.strictEqual(await ApiToken.findByToken({ $ne: null }), null)
+  assert.strictEqual(findOne.mock.callCount(), 0)
+  await ApiToken.findByToken('todo_abc')
+  assert.strictEqual(findOne.mock.callCount(), 1)
+})
+
+test('requests without a bearer token pass through untouched', async (t) => {
+  const authenticate = t.mock.method(passport, 'authenticate')
+  const req = fakeRequest()
+  assert.strictEqual(await run(authenticateToken, req), 'next')
+  assert.strictEqual(req.user, undefined)
+  assert.strictEqual(authenticate.mock.callCount(), 0)
+})
+
+test('read-only tokens may only read', async (t) => {
+  const user = { id: 'u1' }
+  stubBearer(t, user, { via: 'token', scope: 'read' })
+  const headers = { authorization: 'Bearer todo_abc' }
+
+  const read = fakeRequest({ method: 'GET', headers })
+  assert.strictEqual(await run(authenticateToken, read), 'next')
+  assert.strictEqual(read.user, user)
+
+  for (const method of ['POST', 'PATCH', 'DELETE']) {
+    const write = fakeRequest({ method, headers })
+    const err = await run(authenticateToken, write)
+    assert.ok(err instanceof ForbiddenError, method)
+    assert.strictEqual(write.user, undefined)
+  }
+})
+
+test('write tokens may change things', async (t) => {
+  stubBearer(t, { id: 'u1' }, { via: 'token', scope: 'write' })
+  const req = fakeRequest({ method: 'DELETE', headers: { authorization: 'Bearer todo_abc' } })
+  assert.strictEqual(await run(authenticateToken, req), 'next')
+  assert.strictEqual(req.authInfo.scope, 'write')
+})
+
+test('unknown or revoked tokens are refused', async (t) => {
+  stubBearer(t, false, undefined)
+  const err = await run(authenticateToken, fakeRequest({ headers: { authorization: 'Bearer todo_gone' } }))
+  assert.ok(err instanceof UnauthorizedError)
+})
+
+test('CSRF: only an accepted API token skips the check', async () => {
+  const session = { csrfToken: 'a'.repeat(64) }
+
+  // A Bearer header on its own (e.g. on a cookie-authenticated page route) exempts nothing
+  const forged = fakeRequest({ url: '/todos/createTodo', headers: { authorization: 'Bearer anything' }, session })
+  assert.ok(await run(csrf, forged) instanceof ForbiddenError)
+
+  const viaToken = fakeRequest({ session: {} })
+  viaToken.authInfo = { via: 'token', scope: 'write' }
+  assert.strictEqual(await run(csrf, viaToken), 'next')
+
+  const withToken = fakeRequest({ url: '/todos/createTodo', headers: { 'x-csrf-token': session.csrfToken }, session })
+  assert.strictEqual(await run(csrf, withToken), 'next')
+
+  const wrongToken = fakeRequest({ url: '/todos/createTodo', body: { _csrf: 'b'.repeat(64) }, session })
+  assert.ok(await run(csrf, wrongToken) instanceof ForbiddenError)
+})
@@ -0,0 +1,46 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { weekKey, bucketsFor, currentStreak, describeDuration } = require('../utils/stats')
+
+const day = (text) => new Date(`${text}T12:00:00Z`)
+
+test('ISO week keys around the turn of the year', () => {
+  assert.strictEqual(weekKey(day('2021-01-03')), '2020-W53') // Sunday, still in 2020's last week
+  assert.strictEqual(weekKey(day('2021-01-04')), '2021-W01')
+  assert.strictEqual(weekKey(day('2024-12-30')), '2025-W01') // Monday, already in 2025's first week
+  assert.strictEqual(weekKey(day('2026-02-15')), '2026-W07')
+  assert.strictEqual(weekKey(day('2026-02-16')), '2026-W08')
+})
+
+test('daily buckets: the last 30 days, oldest first', () => {
+  const { since, keys } = bucketsFor('day', day('2026-03-02'))
+  assert.strictEqual(keys.length, 30)
+  assert.strictEqual(keys[0], '2026-02-01')
+  assert.strictEqual(keys[29], '2026-03-02')
+  assert.strictEqual(since.toISOString(), '2026-02-01T00:00:00.000Z')
+})
+
+test('weekly buckets start on a Monday and cross the year', () => {
+  const { since, keys } = bucketsFor('week', day('2026-01-07'))
+  assert.strictEqual(keys.length, 12)
+  assert.strictEqual(keys[11], '2026-W02')
+  assert.strictEqual(keys[10], '2026-W01')
+  assert.strictEqual(keys[9], '2025-W52')
+  assert.strictEqual(since.getUTCDay(), 1)
+  assert.strictEqual(new Set(keys).size, 12)
+})
+
+test('the streak counts back from today, or from yesterday', () => {
+  const now = day('2026-03-10')
+  assert.strictEqual(currentStreak(['2026-03-10', '2026-03-09', '2026-03-07'], now), 2)
+  assert.strictEqual(currentStreak(['2026-03-09', '2026-03-08'], now), 2)
+  assert.strictEqual(currentStreak(['2026-03-08'], now), 0)
+  assert.strictEqual(currentStreak([], now), 0)
+})
+
+test('durations keep the two largest units', () => {
+  assert.strictEqual(describeDuration(null), 'n/a')
+  assert.strictEqual(describeDuration(30 * 1000), 'under a minute')
+  assert.strictEqual(describeDuration(((3 * 24 + 4) * 60 + 5) * 60 * 1000), '3 days 4 hours')
+  assert.strictEqual(describeDuration(61 * 60 * 1000), '1 hour 1 minute')
+})
@@ -0,0 +1,85 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const User = require('../models/User')
+const { backoffMs, describeWait, createTracker } = require('../utils/throttle')
+
+const POLICY = { free: 2, base: 1000, max: 5000, window: 60 * 1000 }
+
+// Run `fn` with Date.now() pinned to `time` (ms)
+const at = (time, fn) => {
+  const realNow = Date.now
+  Date.now = () => time
+  try {
+    return fn()
+  } finally {
+    Date.now = realNow
+  }
+}
+
+test('backoff is free at first, then doubles up to the cap', () => {
+  assert.deepStrictEqual([1, 2, 3, 4, 5, 6, 7].map(failures => backoffMs(failures, POLICY)), [0, 0, 1000, 2000, 4000, 5000, 5000])
+})
+
+test('waits read as seconds or minutes', () => {
+  assert.strictEqual(describeWait(1), '1 second')
+  assert.strictEqual(describeWait(30 * 1000), '30 seconds')
+  assert.strictEqual(describeWait(61 * 1000), '2 minutes')
+})
+
+test('the tracker blocks a key after its free failures', () => {
+  const tracker = createTracker(POLICY)
+  at(0, () => {
+    assert.strictEqual(tracker.fail('1.2.3.4'), 0)
+    assert.strictEqual(tracker.fail('1.2.3.4'), 0)
+    assert.strictEqual(tracker.retryAfter('1.2.3.4'), 0)
+    assert.strictEqual(tracker.fail('1.2.3.4'), 1000)
+    assert.strictEqual(tracker.retryAfter('1.2.3.4'), 1000)
+    assert.strictEqual(tracker.retryAfter('5.6.7.8'), 0)
+  })
+  at(400, () => assert.strictEqual(tracker.retryAfter('1.2.3.4'), 600))
+  at(1000, () => assert.strictEqual(tracker.retryAfter('1.2.3.4'), 0))
+  tracker.reset('1.2.3.4')
+  at(1000, () => assert.strictEqual(tracker.fail('1.2.3.4'), 0))
+})
+
+test('the tracker forgets a key after a quiet window', () => {
+  const tracker = createTracker(POLICY)
+  at(0, () => {
+    for (let i = 0; i < 3; i++) tracker.fail('ip')
+  })
+  at(POLICY.window + 1, () => {
+    assert.strictEqual(tracker.retryAfter('ip'), 0)
+    assert.strictEqual(tracker.fail('ip'), 0)
+  })
+})
+
+test('an account locks once its free attempts are used up', async (t) => {
+  // Stand in for MongoDB: keep the account's counter here and apply the updates to it
+  const stored = { count: 0 }
+  const calls = []
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    calls.push(update)
+    if (update.$max) stored.lockedUntil = update.$max['loginAttempts.lockedUntil']
+  })
+  t.mock.method(User, 'findOneAndUpdate', (filter, update) => {
+    stored.count += update.$inc['loginAttempts.count']
+    stored.lastFailedAt = update.$set['loginAttempts.lastFailedAt']
+    return { select: async () => ({ toObject: () => ({ loginAttempts: { ...stored } }) }) }
+  })
+
+  const user = new User({ userName: 'ada', email: 'ada@example.com' })
+  assert.strictEqual(user.lockedFor(), 0)
+  for (let i = 0; i < 5; i++) assert.strictEqual(await user.registerFailedLogin(), 0)
+  assert.strictEqual(calls.some(update => update.$max), false)
+
+  assert.strictEqual(await user.registerFailedLogin(), 30 * 1000)
+  assert.strictEqual(await user.registerFailedLogin(), 60 * 1000)
+  assert.strictEqual(user.loginAttempts.count, 7)
+  assert.ok(user.lockedFor() > 59 * 1000 && user.lockedFor() <= 60 * 1000)
+  assert.ok(stored.lockedUntil instanceof Date)
+  // Each lock is written with $max, so a slower request can't shorten it
+  assert.strictEqual(calls.filter(update => update.$max).length, 2)
+
+  user.resetLoginAttempts()
+  assert.strictEqual(user.lockedFor(), 0)
+})
@@ -0,0 +1,97 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const mongoose = require('mongoose')
+const Todo = require('../models/Todo')
+const { parseImport, serialize, duplicateKey, MAX_IMPORT_ITEMS } = require('../utils/todoFormats')
+
+test('CSV: quoted fields, aliases and escaped formulas', () => {
+  const csv = 'Title,Done,Due,Priority,Labels,Notes\r\n' +
+    '"Buy milk, eggs",yes,2026-05-01,high,"Shop, home","line one\nline two"\r\n' +
+    '"\'=SUM(A1)",no,,,,\r\n'
+  const { format, items, errors } = parseImport(csv, { fileName: 'todos.csv' })
+  assert.strictEqual(format, 'csv')
+  assert.deepStrictEqual(errors, [])
+  assert.strictEqual(items[0].todo, 'Buy milk, eggs')
+  assert.strictEqual(items[0].completed, true)
+  assert.strictEqual(items[0].dueDate.toISOString(), '2026-05-01T00:00:00.000Z')
+  assert.strictEqual(items[0].priority, Todo.PRIORITIES.indexOf('high'))
+  assert.deepStrictEqual(items[0].tags, ['shop', 'home'])
+  assert.strictEqual(items[0].notes, 'line one\nline two')
+  assert.strictEqual(items[1].todo, '=SUM(A1)')
+  assert.strictEqual(items[1].completed, false)
+})
+
+test('CSV without a todo column is refused', () => {
+  assert.throws(() => parseImport('name2,done\nx,1\n', { format: 'csv' }), /header row/)
+})
+
+test('Markdown: checkboxes become todos, indented ones subtasks', () => {
+  const md = '# Groceries\n\n- [ ] Milk\n  - [x] Check the fridge\n* [X] Bread\nJust a note\n'
+  const { format, items } = parseImport(md)
+  assert.strictEqual(format, 'markdown')
+  assert.deepStrictEqual(items.map(item => [item.todo, item.completed]), [['Milk', false], ['Bread', true]])
+  assert.deepStrictEqual(items[0].subtasks, [{ text: 'Check the fridge', completed: true }])
+})
+
+test('JSON: a TodoMVC localStorage dump', () => {
+  const dump = JSON.stringify({ 'todos-vanilla': JSON.stringify([{ title: 'One', completed: true }, { title: 'Two' }]), other: 5 })
+  const { format, items } = parseImport(dump)
+  assert.strictEqual(format, 'json')
+  assert.deepStrictEqual(items.map(item => [item.todo, item.completed]), [['One', true], ['Two', false]])
+})
+
+test('bad entries are reported per item and skipped', () => {
+  const json = JSON.stringify([
+    { todo: 'ok', tags: ['a', 'b'] },
+    { todo: '' },
+    'just text',
+    { todo: 'x', priority: 'urgent' },
+    { todo: 'x', dueDate: 'tomorrow' },
+    { todo: 'x', tags: { a: 1 } },
+    { todo: 'x', tags: [1, {}] },
+    { todo: 'x'.repeat(281) },
+    { todo: 'x', recurrence: { frequency: 'yearly' } }
+  ])
+  const { items, errors } = parseImport(json, { format: 'json' })
+  assert.deepStrictEqual(items.map(item => item.todo), ['ok'])
+  assert.deepStrictEqual(errors.map(error => error.item), [2, 3, 4, 5, 6, 7, 8, 9])
+})
+
+test('invalid JSON and oversized files throw', () => {
+  assert.throws(() => parseImport('{nope', { format: 'json' }), /not valid JSON/)
+  const tooMany = JSON.stringify(Array.from({ length: MAX_IMPORT_ITEMS + 1 }, (_, i) => ({ todo: `t${i}` })))
+  assert.throws(() => parseImport(tooMany, { format: 'json' }), /at most/)
+})
+
+test('an export imports back with the same fields', () => {
+  const list = { id: String(new mongoose.Types.ObjectId()), name: 'Home' }
+  const todo = new Todo({
+    todo: '=cmd|calc',
+    completed: true,
+    dueDate: new Date('2026-05-01'),
+    priority: 2,
+    tags: ['shop'],
+    notes: 'Semi-skimmed, "fresh"',
+    subtasks: [{ text: 'Fridge', completed: true }, { text: 'Shop' }],
+    listId: list.id,
+    userId: new mongoose.Types.ObjectId(),
+    rank: 0,
+    createdAt: new Date()
+  })
+  for (const format of ['json', 'csv']) {
+    const { items, errors } = parseImport(serialize(format, [list], [todo]), { format })
+    assert.deepStrictEqual(errors, [], format)
+    assert.strictEqual(items[0].todo, '=cmd|calc', format)
+    assert.strictEqual(items[0].completed, true, format)
+    assert.strictEqual(items[0].priority, 2, format)
+    assert.deepStrictEqual(items[0].tags, ['shop'], format)
+    assert.strictEqual(items[0].notes, 'Semi-skimmed, "fresh"', format)
+    assert.deepStrictEqual(items[0].subtasks, [{ text: 'Fridge', completed: true }, { text: 'Shop', completed: false }], format)
+  }
+  const markdown = serialize('markdown', [list], [todo])
+  assert.ok(markdown.startsWith('# Home\n\n- [x] =cmd|calc\n  - [x] Fridge\n  - [ ] Shop\n'))
+})
+
+test('duplicate keys ignore case and spacing', () => {
+  assert.strictEqual(duplicateKey('  Buy   Milk '), duplicateKey('buy milk'))
+})
@@ -0,0 +1,61 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const totp = require('../utils/totp')
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", 30-second steps
+// (the RFC lists 8 digits; the app uses the last 6)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+// Run `fn` with Date.now() pinned to `time` (ms)
+const at = (time, fn) => {
+  const realNow = Date.now
+  Date.now = () => time
+  try {
+    return fn()
+  } finally {
+    Date.now = realNow
+  }
+}
+
+test('codes match the RFC 6238 test vectors', () => {
+  assert.strictEqual(totp.codeAt(RFC_SECRET, totp.stepAt(59 * 1000)), '287082')
+  assert.strictEqual(totp.codeAt(RFC_SECRET, totp.stepAt(1111111109 * 1000)), '081804')
+  assert.strictEqual(totp.codeAt(RFC_SECRET, totp.stepAt(2000000000 * 1000)), '279037')
+})
+
+test('verify accepts the current step and one either side', () => {
+  const time = 1111111109 * 1000
+  const step = totp.stepAt(time)
+  at(time, () => {
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.codeAt(RFC_SECRET, step)), step)
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.codeAt(RFC_SECRET, step - 1)), step - 1)
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.codeAt(RFC_SECRET, step + 1)), step + 1)
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.codeAt(RFC_SECRET, step - 2)), null)
+  })
+})
+
+test('verify refuses replayed steps and malformed codes', () => {
+  const time = 1111111109 * 1000
+  const step = totp.stepAt(time)
+  at(time, () => {
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.codeAt(RFC_SECRET, step), { afterStep: step }), null)
+    assert.strictEqual(totp.verify(RFC_SECRET, '12345'), null)
+    assert.strictEqual(totp.verify(RFC_SECRET, '12345a'), null)
+    assert.strictEqual(totp.verify(RFC_SECRET, 123456), null)
+  })
+})
+
+test('generated secrets are 160-bit base32 strings', () => {
+  const secret = totp.generateSecret()
+  assert.match(secret, /^[A-Z2-7]{32}$/)
+  assert.notStrictEqual(secret, totp.generateSecret())
+})
+
+test('otpauth URIs carry the secret and issuer', () => {
+  const uri = totp.otpauthUri({ secret: RFC_SECRET, account: 'sam@example.com', issuer: 'Todo App' })
+  assert.ok(uri.startsWith('otpauth://totp/Todo%20App%3Asam%40example.com?'))
+  const params = new URL(uri).searchParams
+  assert.strictEqual(params.get('secret'), RFC_SECRET)
+  assert.strictEqual(params.get('issuer'), 'Todo App')
+  assert.strictEqual(params.get('digits'), '6')
+})
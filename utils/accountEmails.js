@@ -0,0 +1,58 @@
+// ACCOUNT EMAILS
+// ==============
+// Messages about the account itself, shared by the auth and account controllers
+
+const mailer = require('../config/mailer')
+
+// Build an absolute link for emails from APP_URL - never from the request's Host
+// header, which a client can set to send someone a reset link to their own server
+// Development falls back to localhost; server.js refuses to start in production without it
+const absoluteUrl = (path) => `${(process.env.APP_URL || `http://localhost:${process.env.PORT}`).replace(/\/+$/, '')}${path}`
+
+// Create a verification token for the user and email them the link
+// Goes to the pending address while an email change waits to be confirmed
+// Resolves once the email has been handed to the mail transport
+const sendVerificationEmail = async (user) => {
+  const token = user.createToken('emailVerification')
+  await user.save()
+  await mailer.sendMail({
+    to: user.pendingEmail || user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.userName || 'there'},\n\n` +
+      `Please confirm your email address by opening this link within 24 hours:\n\n` +
+      `${absoluteUrl(`/verify/${token}`)}\n\n` +
+      `If you didn't ask for this, you can ignore this email.`
+  })
+}
+
+// Create a password reset token for the user and email them the link
+// `byAdmin` explains that an administrator cleared the password, rather than someone using /forgot
+const sendPasswordResetEmail = async (user, { byAdmin = false } = {}) => {
+  const token = user.createToken('passwordReset')
+  await user.save()
+  const reason = byAdmin
+    ? 'An administrator has reset the password for your account, so you will need a new one to log in.'
+    : 'Someone asked to reset the password for your account.'
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.userName || 'there'},\n\n` +
+      `${reason} Open this link within 1 hour to choose a new one:\n\n` +
+      `${absoluteUrl(`/reset/${token}`)}\n\n` +
+      (byAdmin
+        ? `If the link has expired, request a new one from the "Forgot password" page.`
+        : `If it wasn't you, ignore this email - your password won't change.`)
+  })
+}
+
+// Tell the current address that someone asked to move the account elsewhere
+const sendEmailChangeNotice = (user) => mailer.sendMail({
+  to: user.email,
+  subject: 'Your email address is being changed',
+  text: `Hi ${user.userName || 'there'},\n\n` +
+    `Someone asked to change the email address on your account to ${user.pendingEmail}. ` +
+    `It will only change once the link sent to that address is opened.\n\n` +
+    `If this wasn't you, reset your password right away.`
+})
+
+module.exports = { absoluteUrl, sendVerificationEmail, sendPasswordResetEmail, sendEmailChangeNotice }
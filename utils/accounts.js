@@ -0,0 +1,32 @@
+// DELETING ACCOUNTS
+// =================
+// Shared by the account page (users deleting themselves) and the admin console
+
+const List = require('../models/List')
+const Todo = require('../models/Todo')
+const Session = require('../models/Session')
+const ApiToken = require('../models/ApiToken')
+const realtime = require('./realtime')
+
+// Remove everything the user owns: lists they created (with their todos) are
+// deleted, and they leave the lists others shared with them. Todos they added
+// to other people's lists stay with those lists
+// Resolves with counts for the log
+const deleteUserData = async (user) => {
+  const ownLists = await List.find({ userId: user._id })
+  const ownListIds = ownLists.map(list => list._id)
+  const { deletedCount: todosDeleted } = await Todo.deleteMany({ listId: { $in: ownListIds } })
+  await List.deleteMany({ _id: { $in: ownListIds } })
+  ownLists.forEach(list => realtime.publishToList(list, 'list:deleted'))
+
+  const sharedLists = await List.find({ 'members.userId': user._id })
+  await List.updateMany({ 'members.userId': user._id }, { $pull: { members: { userId: user._id } } })
+  sharedLists.forEach(list => realtime.publishToList(list, 'list:changed'))
+
+  const sessionsDeleted = await Session.revokeAllForUser(user._id)
+  await ApiToken.deleteMany({ userId: user._id })
+  await user.deleteOne()
+  return { listsDeleted: ownLists.length, todosDeleted, sessionsDeleted }
+}
+
+module.exports = { deleteUserData }
@@ -0,0 +1,26 @@
+// APPEND-ONLY COLLECTIONS
+// =======================
+// Mongoose plugin for logs that must never be rewritten (models/AuditLog.js,
+// models/TodoActivity.js): every update and delete made through the model is
+// refused, and documents can only be saved once
+// Usage: SomeSchema.plugin(appendOnly, { message: 'Entries cannot be changed.' })
+
+const WRITE_OPERATIONS = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove'
+]
+
+const appendOnly = (schema, { message = 'Entries cannot be changed or deleted.' } = {}) => {
+  const refuse = function (next) {
+    next(new Error(message))
+  }
+  WRITE_OPERATIONS.forEach(op => schema.pre(op, refuse))
+  // entry.deleteOne() is document middleware, separate from the query hook above
+  schema.pre('deleteOne', { document: true, query: false }, refuse)
+  schema.pre('save', function (next) {
+    if (!this.isNew) return refuse(next)
+    next()
+  })
+}
+
+module.exports = appendOnly
@@ -0,0 +1,63 @@
+// APPLICATION ERRORS
+// ==================
+// Typed errors that controllers and middleware can throw (or pass to next())
+// The error middleware in middleware/errors.js turns them into the right
+// HTTP status and either a rendered error page or a JSON error envelope
+
+// Base class - every error we raise on purpose extends this
+// `expose` marks the message as safe to show to the client
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.status = status
+    this.code = code
+    this.details = details
+    this.expose = status < 500
+  }
+}
+
+// 400 - the request body/query/params are invalid
+// `details` is a list of { field, msg } objects, the same shape we flash to forms
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed.', details) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', details })
+  }
+}
+
+// 401 - no logged-in user
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required.') {
+    super(message, { status: 401, code: 'UNAUTHORIZED' })
+  }
+}
+
+// 403 - logged in, but not allowed to do this
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to do that.') {
+    super(message, { status: 403, code: 'FORBIDDEN' })
+  }
+}
+
+// 404 - the resource doesn't exist (or isn't visible to this user)
+class NotFoundError extends AppError {
+  constructor(message = 'Not found.') {
+    super(message, { status: 404, code: 'NOT_FOUND' })
+  }
+}
+
+// 409 - the request clashes with the current state (stale version, duplicate, ...)
+class ConflictError extends AppError {
+  constructor(message = 'The request conflicts with the current state.') {
+    super(message, { status: 409, code: 'CONFLICT' })
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+}
@@ -0,0 +1,81 @@
+// TODO LIST QUERY PARAMETERS
+// ==========================
+// Parses ?list=&status=&q=&sort=&order=&page=&limit= for GET /todos and GET /api/v1/todos
+// An empty `list` means the user's default list
+// Unknown values are reported as a ValidationError instead of being silently ignored
+
+const mongoose = require('mongoose')
+const { ValidationError } = require('./errors')
+
+// TodoMVC style filters: all / active / completed
+const STATUSES = ['all', 'active', 'completed']
+
+// Sortable fields and the direction that feels natural for each one
+const SORTS = {
+  rank: 'asc',       // the user's drag-and-drop order
+  createdAt: 'desc', // newest first
+  dueDate: 'asc',    // soonest first
+  priority: 'desc'   // most urgent first
+}
+
+const DEFAULTS = { list: '', status: 'all', q: '', sort: 'rank', page: 1, limit: 20 }
+const MAX_LIMIT = 100
+
+const toPositiveInt = (value) => (/^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN)
+
+const parseListQuery = (query = {}) => {
+  const errors = []
+  const options = { ...DEFAULTS }
+
+  if (query.list !== undefined && query.list !== '') {
+    if (!mongoose.Types.ObjectId.isValid(query.list)) errors.push({ field: 'list', msg: 'Invalid list id.' })
+    else options.list = String(query.list)
+  }
+
+  if (query.status !== undefined && query.status !== '') {
+    if (!STATUSES.includes(query.status)) errors.push({ field: 'status', msg: `Status must be one of: ${STATUSES.join(', ')}.` })
+    else options.status = query.status
+  }
+
+  if (typeof query.q === 'string') options.q = query.q.trim().slice(0, 100)
+
+  if (query.sort !== undefined && query.sort !== '') {
+    if (!Object.prototype.hasOwnProperty.call(SORTS, query.sort)) errors.push({ field: 'sort', msg: `Sort must be one of: ${Object.keys(SORTS).join(', ')}.` })
+    else options.sort = query.sort
+  }
+  options.order = SORTS[options.sort]
+  if (query.order !== undefined && query.order !== '') {
+    if (!['asc', 'desc'].includes(query.order)) errors.push({ field: 'order', msg: 'Order must be asc or desc.' })
+    else options.order = query.order
+  }
+
+  if (query.page !== undefined) {
+    const page = toPositiveInt(query.page)
+    if (!(page >= 1)) errors.push({ field: 'page', msg: 'Page must be a positive whole number.' })
+    else options.page = page
+  }
+
+  if (query.limit !== undefined) {
+    const limit = toPositiveInt(query.limit)
+    if (!(limit >= 1 && limit <= MAX_LIMIT)) errors.push({ field: 'limit', msg: `Limit must be between 1 and ${MAX_LIMIT}.` })
+    else options.limit = limit
+  }
+
+  if (errors.length) throw new ValidationError('Invalid list parameters.', errors)
+  return options
+}
+
+// Turn options back into a query string, dropping values that equal the defaults
+// `changes` lets views build links such as "same list, next page"
+const toQueryString = (options, changes = {}) => {
+  const merged = { ...options, ...changes }
+  const params = new URLSearchParams()
+  for (const key of ['list', 'status', 'q', 'sort', 'page', 'limit']) {
+    if (merged[key] !== DEFAULTS[key]) params.set(key, merged[key])
+  }
+  if (merged.order !== SORTS[merged.sort]) params.set('order', merged.order)
+  const qs = params.toString()
+  return qs ? `?${qs}` : ''
+}
+
+module.exports = { parseListQuery, toQueryString, STATUSES, SORTS }
@@ -0,0 +1,12 @@
+// CONTENT NEGOTIATION HELPERS
+// ===========================
+
+// Decide whether a request expects a JSON answer instead of an HTML page
+// True for the /api routes, XHR calls, and fetch() calls that send or prefer JSON
+const wantsJson = (req) =>
+  req.originalUrl.startsWith('/api/') ||
+  req.xhr ||
+  Boolean(req.is('application/json')) ||
+  req.accepts(['html', 'json']) === 'json'
+
+module.exports = { wantsJson }
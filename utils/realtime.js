@@ -0,0 +1,78 @@
+// REAL-TIME UPDATES (SERVER-SENT EVENTS)
+// ======================================
+// Keeps the open /events connections of every signed-in user and pushes
+// todo/list changes to them, so other tabs, devices and collaborators
+// update without reloading
+// Connections live in this process's memory - with several server
+// processes each one only reaches the browsers connected to it
+
+const log = require('../config/logger')
+
+// userId -> Map of open responses (one per tab/device) -> { sessionId, close }
+// The session ID lets signing a session out also end its streams (see endStreams)
+const clients = new Map()
+
+// Proxies close idle connections, so send a comment line now and then
+const HEARTBEAT_MS = 25000
+
+// Attach a request/response pair as an event stream for req.user
+const subscribe = (req, res) => {
+  const userId = String(req.user._id)
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // don't let nginx buffer the stream
+  })
+  res.flushHeaders()
+  res.write('retry: 5000\n\n')
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS)
+  // Called when the browser goes away or the session is signed out - whichever comes first
+  const close = () => {
+    clearInterval(heartbeat)
+    const streams = clients.get(userId)
+    if (!streams || !streams.delete(res)) return
+    if (!streams.size) clients.delete(userId)
+    log.debug('Event stream closed', { userId })
+  }
+
+  if (!clients.has(userId)) clients.set(userId, new Map())
+  clients.get(userId).set(res, { sessionId: req.sessionID, close })
+  log.debug('Event stream opened', { userId, connections: clients.get(userId).size })
+  req.on('close', close)
+}
+
+// End the user's open streams, so a signed-out session stops receiving changes
+// `sessionIds` limits it to those sessions, `except` spares one (the current session)
+// Returns the number of streams ended
+const endStreams = (userId, { sessionIds = null, except = null } = {}) => {
+  const streams = clients.get(String(userId))
+  if (!streams) return 0
+  let ended = 0
+  for (const [res, { sessionId, close }] of [...streams]) {
+    if (sessionIds && !sessionIds.includes(sessionId)) continue
+    if (except && sessionId === except) continue
+    close()
+    res.end()
+    ended++
+  }
+  return ended
+}
+
+// Send one event to every open connection of the given users
+const publish = (userIds, event, data) => {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+  for (const userId of new Set(userIds.map(String))) {
+    const streams = clients.get(userId)
+    if (!streams) continue
+    for (const res of streams.keys()) res.write(message)
+  }
+}
+
+// Everyone who can see a list: its creator plus all members
+const listAudience = (list) => [list.userId, ...list.members.map(m => m.userId)]
+
+const publishToList = (list, event, data) => publish(listAudience(list), event, { listId: list._id, ...data })
+
+module.exports = { subscribe, endStreams, publish, publishToList, listAudience }
@@ -0,0 +1,137 @@
+// RECURRING TODOS
+// ===============
+// A todo can carry a rule like "every day", "weekly on Mon and Thu",
+// "monthly on the 15th" or "every 10 days", optionally until an end date
+// Completing it creates the next occurrence (see Todo.createNextOccurrence)
+//
+// Rules are stored as { frequency, interval, weekdays, dayOfMonth, endDate }:
+//   daily     no extra fields
+//   weekly    weekdays: [0-6] (0 = Sunday)
+//   monthly   dayOfMonth: 1-31 (the last day in shorter months)
+//   interval  interval: number of days
+// Due dates are whole days (midnight UTC, as the date inputs send them)
+
+const validator = require('validator')
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'interval']
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const MAX_INTERVAL = 365
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS)
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+
+const toInt = (value) => (/^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN)
+
+// The first day strictly after `after` that the rule falls on
+const nextAfter = (rule, after) => {
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(after, 1)
+    case 'interval':
+      return addDays(after, rule.interval)
+    case 'weekly':
+      for (let days = 1; days <= 7; days++) {
+        const day = addDays(after, days)
+        if (rule.weekdays.includes(day.getUTCDay())) return day
+      }
+      return null
+    case 'monthly': {
+      // This month's date if it's still ahead, otherwise next month's
+      for (let month = after.getUTCMonth(); ; month++) {
+        const year = after.getUTCFullYear() + Math.floor(month / 12)
+        const day = Math.min(rule.dayOfMonth, daysInMonth(year, month % 12))
+        const date = new Date(Date.UTC(year, month % 12, day))
+        if (date > after) return date
+      }
+    }
+  }
+  return null
+}
+
+// Due date of the occurrence after the one due on `dueDate` (today when it has none)
+// Occurrences that are already in the past are skipped, so completing an
+// overdue todo doesn't queue up every missed one
+// Returns null once the series has passed its end date
+const nextOccurrence = (rule, { dueDate, now = new Date() } = {}) => {
+  const today = startOfDay(now)
+  let next = nextAfter(rule, startOfDay(dueDate || now))
+  while (next && next < today) next = nextAfter(rule, next)
+  if (!next || (rule.endDate && next > rule.endDate)) return null
+  return next
+}
+
+// Human-readable rule for the todo list, e.g. "Weekly on Mon, Thu until 2026-12-31"
+const describe = (rule) => {
+  if (!rule || !rule.frequency) return ''
+  let text
+  if (rule.frequency === 'daily') text = 'Daily'
+  else if (rule.frequency === 'interval') text = `Every ${rule.interval} days`
+  else if (rule.frequency === 'weekly') text = `Weekly on ${[...rule.weekdays].sort().map(day => WEEKDAYS[day]).join(', ')}`
+  else text = `Monthly on day ${rule.dayOfMonth}`
+  if (rule.endDate) text += ` until ${rule.endDate.toISOString().slice(0, 10)}`
+  return text
+}
+
+// Collect the repeat* fields of the todo forms into a rule for parseRecurrence
+// ("none" or no choice means no recurrence)
+const fromForm = (body) => {
+  if (!body.repeat || body.repeat === 'none') return null
+  return {
+    frequency: body.repeat,
+    interval: body.repeatEvery,
+    weekdays: body.repeatWeekdays === undefined ? undefined : [].concat(body.repeatWeekdays),
+    dayOfMonth: body.repeatDayOfMonth,
+    endDate: body.repeatUntil
+  }
+}
+
+// Validate a rule from the API or fromForm() and keep only the fields its frequency uses
+// Weekly and monthly rules without a day repeat on the day of `dueDate` (or today)
+// null / '' mean no recurrence. Returns { errors, value }
+const parseRecurrence = (input, { dueDate = null } = {}) => {
+  if (input === null || input === '') return { errors: [], value: null }
+  const error = (msg) => ({ errors: [{ field: 'recurrence', msg }], value: undefined })
+  if (typeof input !== 'object' || Array.isArray(input)) return error('Recurrence must be an object or null.')
+  if (!FREQUENCIES.includes(input.frequency)) return error(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}.`)
+
+  const anchor = dueDate || new Date()
+  const value = { frequency: input.frequency }
+
+  if (input.frequency === 'interval') {
+    const interval = toInt(input.interval)
+    if (!(interval >= 1 && interval <= MAX_INTERVAL)) return error(`Repeat every 1 to ${MAX_INTERVAL} days.`)
+    value.interval = interval
+  }
+
+  if (input.frequency === 'weekly') {
+    if (input.weekdays === undefined || input.weekdays === null || (Array.isArray(input.weekdays) && !input.weekdays.length)) {
+      value.weekdays = [anchor.getUTCDay()]
+    } else {
+      const weekdays = Array.isArray(input.weekdays) ? input.weekdays.map(toInt) : [NaN]
+      if (weekdays.some(day => !(day >= 0 && day <= 6))) return error('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday).')
+      value.weekdays = [...new Set(weekdays)].sort()
+    }
+  }
+
+  if (input.frequency === 'monthly') {
+    if (input.dayOfMonth === undefined || input.dayOfMonth === null || input.dayOfMonth === '') {
+      value.dayOfMonth = anchor.getUTCDate()
+    } else {
+      const dayOfMonth = toInt(input.dayOfMonth)
+      if (!(dayOfMonth >= 1 && dayOfMonth <= 31)) return error('Day of the month must be between 1 and 31.')
+      value.dayOfMonth = dayOfMonth
+    }
+  }
+
+  if (input.endDate !== undefined && input.endDate !== null && input.endDate !== '') {
+    if (typeof input.endDate !== 'string' || !validator.isISO8601(input.endDate)) return error('End date must be a valid date (YYYY-MM-DD).')
+    value.endDate = new Date(input.endDate)
+    if (dueDate && value.endDate < dueDate) return error('End date cannot be before the due date.')
+  }
+
+  return { errors: [], value }
+}
+
+module.exports = { FREQUENCIES, WEEKDAYS, nextOccurrence, describe, fromForm, parseRecurrence }
@@ -0,0 +1,4 @@
+// Escape user input before using it inside a RegExp (e.g. a Mongo $regex search)
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+module.exports = { escapeRegExp }
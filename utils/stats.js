@@ -0,0 +1,134 @@
+// PRODUCTIVITY STATISTICS
+// =======================
+// Numbers for the /stats page and GET /api/v1/stats, from one aggregation over
+// the todos in the given lists (trashed todos don't count)
+// Days and weeks are UTC, like due dates; weeks are ISO weeks (Monday to Sunday)
+
+const mongoose = require('mongoose')
+const Todo = require('../models/Todo')
+
+const PERIODS = {
+  day: { buckets: 30, format: '%Y-%m-%d' },
+  week: { buckets: 12, format: '%G-W%V' }
+}
+const DAY_MS = 24 * 60 * 60 * 1000
+// How far back completions are looked at for the streak
+const STREAK_DAYS = 366
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+const dayKey = (date) => date.toISOString().slice(0, 10)
+
+// "2026-W07" for the ISO week `date` falls in (same as $dateToString's %G-W%V)
+const weekKey = (date) => {
+  const thursday = new Date(startOfDay(date).getTime() + (3 - (date.getUTCDay() + 6) % 7) * DAY_MS)
+  const firstThursday = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4))
+  const week = 1 + Math.round((thursday - firstThursday) / DAY_MS / 7 - (3 - (firstThursday.getUTCDay() + 6) % 7) / 7)
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`
+}
+
+// The keys of the last `buckets` days or weeks, oldest first, and when the first one starts
+const bucketsFor = (period, now) => {
+  const { buckets } = PERIODS[period]
+  const today = startOfDay(now)
+  // Weeks start on Monday
+  const current = period === 'day' ? today : new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS)
+  const step = period === 'day' ? DAY_MS : 7 * DAY_MS
+  const starts = Array.from({ length: buckets }, (_, i) => new Date(current.getTime() - (buckets - 1 - i) * step))
+  return { since: starts[0], keys: starts.map(start => (period === 'day' ? dayKey(start) : weekKey(start))) }
+}
+
+// Consecutive days with at least one completion, ending today - or yesterday,
+// so the streak isn't lost before the first todo of the day is done
+const currentStreak = (days, now) => {
+  const done = new Set(days)
+  let day = startOfDay(now)
+  if (!done.has(dayKey(day))) day = new Date(day.getTime() - DAY_MS)
+  let streak = 0
+  while (done.has(dayKey(day))) {
+    streak++
+    day = new Date(day.getTime() - DAY_MS)
+  }
+  return streak
+}
+
+const countBy = (field) => [{ $group: { _id: field, total: { $sum: 1 }, completed: { $sum: { $cond: ['$completed', 1, 0] } } } }]
+
+// Statistics for the todos in `listIds`, per `period` ('day' or 'week')
+// Resolves with { period, totals, timeline, averageCompletionMs, streak, overdue, byPriority, byTag }
+const buildStats = async (listIds, { period = 'day', now = new Date() } = {}) => {
+  const { since, keys } = bucketsFor(period, now)
+  const { format } = PERIODS[period]
+  const streakSince = new Date(startOfDay(now).getTime() - STREAK_DAYS * DAY_MS)
+
+  const [result] = await Todo.aggregate([
+    { $match: { listId: { $in: listIds.map(id => new mongoose.Types.ObjectId(id)) }, deletedAt: null } },
+    { $facet: {
+      totals: countBy(null),
+      created: [
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: { $dateToString: { format, date: '$createdAt' } }, count: { $sum: 1 } } }
+      ],
+      completed: [
+        { $match: { completed: true, completedAt: { $gte: since } } },
+        { $group: { _id: { $dateToString: { format, date: '$completedAt' } }, count: { $sum: 1 } } }
+      ],
+      completionTime: [
+        { $match: { completed: true, completedAt: { $ne: null } } },
+        { $group: { _id: null, averageMs: { $avg: { $subtract: ['$completedAt', '$createdAt'] } }, count: { $sum: 1 } } }
+      ],
+      completionDays: [
+        { $match: { completed: true, completedAt: { $gte: streakSince } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$completedAt' } } } }
+      ],
+      overdue: [
+        { $match: { completed: false, dueDate: { $ne: null, $lt: now } } },
+        { $group: { _id: '$listId', count: { $sum: 1 } } }
+      ],
+      byPriority: countBy('$priority'),
+      byTag: [
+        { $unwind: '$tags' },
+        ...countBy('$tags'),
+        { $sort: { total: -1, _id: 1 } }
+      ]
+    } }
+  ])
+
+  const totals = result.totals[0] || { total: 0, completed: 0 }
+  const created = Object.fromEntries(result.created.map(row => [row._id, row.count]))
+  const completed = Object.fromEntries(result.completed.map(row => [row._id, row.count]))
+  const priorities = Object.fromEntries(result.byPriority.map(row => [row._id, row]))
+
+  return {
+    period,
+    totals: { total: totals.total, completed: totals.completed, open: totals.total - totals.completed },
+    timeline: keys.map(key => ({ period: key, created: created[key] || 0, completed: completed[key] || 0 })),
+    averageCompletionMs: result.completionTime.length ? Math.round(result.completionTime[0].averageMs) : null,
+    streak: currentStreak(result.completionDays.map(row => row._id), now),
+    overdue: {
+      total: result.overdue.reduce((sum, row) => sum + row.count, 0),
+      byList: Object.fromEntries(result.overdue.map(row => [String(row._id), row.count]))
+    },
+    byPriority: Todo.PRIORITIES.map((label, i) => ({
+      priority: label,
+      total: priorities[i] ? priorities[i].total : 0,
+      completed: priorities[i] ? priorities[i].completed : 0
+    })),
+    byTag: result.byTag.map(row => ({ tag: row._id, total: row.total, completed: row.completed }))
+  }
+}
+
+// "3 days 4 hours" style duration for the page
+const describeDuration = (ms) => {
+  if (ms === null) return 'n/a'
+  const units = [['day', DAY_MS], ['hour', 60 * 60 * 1000], ['minute', 60 * 1000]]
+  const parts = []
+  let rest = ms
+  units.forEach(([name, size]) => {
+    const count = Math.floor(rest / size)
+    rest -= count * size
+    if (count && parts.length < 2) parts.push(`${count} ${name}${count === 1 ? '' : 's'}`)
+  })
+  return parts.join(' ') || 'under a minute'
+}
+
+module.exports = { PERIODS, buildStats, describeDuration, weekKey, bucketsFor, currentStreak }
@@ -0,0 +1,69 @@
+// LOGIN THROTTLING
+// ================
+// Failed logins are counted per account (on the User document) and per IP (here, in memory)
+// After a few free attempts every further failure doubles the wait before the next try
+// Like the SSE connections in utils/realtime.js, the IP counters live in this process only
+
+// Wait after `failures` failed attempts: 0 for the first `free`, then base, 2 x base, 4 x base ... up to max
+const backoffMs = (failures, { free, base, max }) => {
+  if (failures <= free) return 0
+  return Math.min(base * 2 ** (failures - free - 1), max)
+}
+
+// Human-friendly wait for flash messages, e.g. "30 seconds", "4 minutes"
+const describeWait = (ms) => {
+  const seconds = Math.max(1, Math.ceil(ms / 1000))
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`
+  const minutes = Math.ceil(seconds / 60)
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`
+}
+
+// Flash shown while an account is locked (after wrong passwords or 2FA codes)
+const lockoutMessage = (wait) => ({
+  msg: `Too many failed login attempts. For your security this account is locked - try again in ${describeWait(wait)}, or reset your password.`
+})
+
+// Keep failure counts for arbitrary keys (IP addresses)
+// A key's count is forgotten once `window` ms pass without a failure
+const createTracker = ({ free, base, max, window }) => {
+  const entries = new Map() // key -> { failures, lastFailedAt, lockedUntil }
+
+  const current = (key) => {
+    const entry = entries.get(key)
+    if (entry && Date.now() - entry.lastFailedAt > window) {
+      entries.delete(key)
+      return null
+    }
+    return entry
+  }
+
+  // Drop stale keys now and then so the map doesn't grow forever
+  setInterval(() => {
+    for (const key of entries.keys()) current(key)
+  }, window).unref()
+
+  return {
+    // Milliseconds until `key` may try again (0 when it isn't blocked)
+    retryAfter (key) {
+      const entry = current(key)
+      return entry ? Math.max(0, entry.lockedUntil - Date.now()) : 0
+    },
+
+    // Record a failed attempt and return the new wait
+    fail (key) {
+      const entry = current(key) || { failures: 0 }
+      entry.failures += 1
+      entry.lastFailedAt = Date.now()
+      const wait = backoffMs(entry.failures, { free, base, max })
+      entry.lockedUntil = entry.lastFailedAt + wait
+      entries.set(key, entry)
+      return wait
+    },
+
+    reset (key) {
+      entries.delete(key)
+    }
+  }
+}
+
+module.exports = { backoffMs, describeWait, lockoutMessage, createTracker }
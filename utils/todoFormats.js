@@ -0,0 +1,292 @@
+// TODO IMPORT AND EXPORT FORMATS
+// ==============================
+// Turns todos into JSON, CSV or a Markdown checklist for GET /todos/export,
+// and parses uploaded files back into plain todo values for the import
+// Understood on import:
+//   json      our own export ({ todos: [...] }), a plain array, or a TodoMVC
+//             localStorage dump ([{ title, completed }], or { "todos-...": "[...]" })
+//   csv       a header row naming the columns (todo/title/text, completed/done,
+//             dueDate/due, priority, tags, notes, subtasks), then one todo per row
+//   markdown  "- [ ] text" / "- [x] text" lines; indented ones are subtasks
+//             of the todo above; everything else is ignored
+
+const validator = require('validator')
+const Todo = require('../models/Todo')
+const { parseRecurrence } = require('./recurrence')
+
+const FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  markdown: { contentType: 'text/markdown', extension: 'md' }
+}
+
+const MAX_IMPORT_ITEMS = 1000
+
+const CSV_COLUMNS = ['list', 'todo', 'completed', 'dueDate', 'priority', 'tags', 'notes', 'subtasks', 'completedAt', 'createdAt']
+
+const day = (date) => (date ? date.toISOString().slice(0, 10) : null)
+
+// EXPORT
+// ======
+
+// The exported fields of one todo (`listName` says which list it came from)
+const exportItem = (todo, listName) => ({
+  list: listName,
+  todo: todo.todo,
+  completed: todo.completed,
+  dueDate: day(todo.dueDate),
+  priority: todo.priorityLabel,
+  tags: todo.tags,
+  notes: todo.notes,
+  subtasks: todo.subtasks.map(({ text, completed }) => ({ text, completed })),
+  recurrence: todo.recurrence ? todo.recurrence.toObject() : null,
+  completedAt: todo.completedAt,
+  createdAt: todo.createdAt
+})
+
+// Spreadsheet apps run cells starting with = + - @ as formulas, so those get a
+// leading apostrophe (removed again on import)
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value)
+  if (/^[=+\-@]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const checkbox = (completed) => (completed ? '[x]' : '[ ]')
+
+const toCsv = (items) => [
+  CSV_COLUMNS.join(','),
+  ...items.map(item => CSV_COLUMNS.map(column => {
+    if (column === 'tags') return csvCell(item.tags.join(', '))
+    if (column === 'subtasks') return csvCell(item.subtasks.map(s => `${checkbox(s.completed)} ${s.text}`).join('\n'))
+    if (column === 'completedAt' || column === 'createdAt') return csvCell(item[column] && item[column].toISOString())
+    return csvCell(item[column])
+  }).join(','))
+].join('\r\n') + '\r\n'
+
+// One "# List" section per list; Markdown only carries the text, completion and subtasks
+const toMarkdown = (items) => {
+  const sections = new Map()
+  items.forEach(item => {
+    if (!sections.has(item.list)) sections.set(item.list, [])
+    sections.get(item.list).push(`- ${checkbox(item.completed)} ${item.todo}`)
+    item.subtasks.forEach(s => sections.get(item.list).push(`  - ${checkbox(s.completed)} ${s.text}`))
+  })
+  return [...sections].map(([list, lines]) => `# ${list}\n\n${lines.join('\n')}\n`).join('\n')
+}
+
+// `lists` are the exported lists, `todos` their todos in display order
+// Returns the response body for `format` (a key of FORMATS)
+const serialize = (format, lists, todos) => {
+  const names = Object.fromEntries(lists.map(list => [list.id, list.name]))
+  const items = todos.map(todo => exportItem(todo, names[String(todo.listId)]))
+  if (format === 'csv') return toCsv(items)
+  if (format === 'markdown') return toMarkdown(items)
+  return JSON.stringify({ exportedAt: new Date(), todos: items }, null, 2)
+}
+
+// IMPORT
+// ======
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and line breaks
+// Returns an array of rows (arrays of strings)
+const parseCsvRows = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char !== '"') field += char
+      else if (text[i + 1] === '"') field += text[++i]
+      else quoted = false
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      rows.push([...row, field])
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field || row.length) rows.push([...row, field])
+  return rows.filter(cells => cells.some(cell => cell.trim()))
+}
+
+// Column names we accept for each field (lower case)
+const CSV_ALIASES = {
+  todo: ['todo', 'title', 'text', 'task', 'name'],
+  completed: ['completed', 'done', 'status'],
+  dueDate: ['duedate', 'due', 'due date'],
+  priority: ['priority'],
+  tags: ['tags', 'labels'],
+  notes: ['notes', 'description'],
+  subtasks: ['subtasks', 'checklist']
+}
+
+const unescapeCell = (cell) => (/^'[=+\-@]/.test(cell) ? cell.slice(1) : cell)
+
+const fromCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text)
+  const names = header.map(name => name.trim().toLowerCase())
+  const columns = Object.fromEntries(Object.entries(CSV_ALIASES)
+    .map(([field, aliases]) => [field, names.findIndex(name => aliases.includes(name))]))
+  if (columns.todo === -1) throw new Error('The CSV needs a header row with a "todo" (or "title") column.')
+  return rows.map(cells => {
+    const value = (field) => (columns[field] === -1 ? undefined : unescapeCell(cells[columns[field]] || ''))
+    return {
+      todo: value('todo'),
+      completed: value('completed'),
+      dueDate: value('dueDate'),
+      priority: value('priority'),
+      tags: value('tags'),
+      notes: value('notes'),
+      // "[x] text" per line, as written by the export
+      subtasks: (value('subtasks') || '').split(/\r?\n/).filter(line => line.trim()).map(line => {
+        const match = line.match(/^\s*\[([ xX])\]\s*(.*)$/)
+        return match ? { text: match[2], completed: match[1] !== ' ' } : { text: line }
+      })
+    }
+  })
+}
+
+const CHECKBOX_LINE = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/
+
+const fromMarkdown = (text) => {
+  const items = []
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(CHECKBOX_LINE)
+    if (!match) return
+    const [, indent, mark, itemText] = match
+    const completed = mark !== ' '
+    if (indent.length && items.length) items[items.length - 1].subtasks.push({ text: itemText, completed })
+    else items.push({ todo: itemText, completed, subtasks: [] })
+  })
+  return items
+}
+
+// Our export, a bare array, or a localStorage dump whose values are (JSON strings of) arrays
+const fromJson = (text) => {
+  const data = JSON.parse(text)
+  if (Array.isArray(data)) return data
+  if (data && Array.isArray(data.todos)) return data.todos
+  if (data && typeof data === 'object') {
+    return Object.values(data).flatMap(value => {
+      if (Array.isArray(value)) return value
+      if (typeof value !== 'string') return []
+      try {
+        const parsed = JSON.parse(value)
+        return Array.isArray(parsed) ? parsed : []
+      } catch (err) {
+        return []
+      }
+    })
+  }
+  return []
+}
+
+const detectFormat = (text, fileName = '') => {
+  const extension = fileName.toLowerCase().split('.').pop()
+  if (extension === 'json') return 'json'
+  if (extension === 'csv') return 'csv'
+  if (['md', 'markdown', 'txt'].includes(extension)) return 'markdown'
+  const start = text.trimStart()[0]
+  if (start === '{' || start === '[') return 'json'
+  return text.split(/\r?\n/).some(line => CHECKBOX_LINE.test(line)) ? 'markdown' : 'csv'
+}
+
+const toBoolean = (value) => value === true || /^(true|yes|y|1|x|done|completed)$/i.test(String(value || '').trim())
+
+// Check one raw item and turn it into model values
+// Returns { value } or { error }
+const normalize = (raw) => {
+  if (!raw || typeof raw !== 'object') return { error: 'Not a todo.' }
+  const text = String(raw.todo || raw.title || raw.text || '').trim()
+  if (!text) return { error: 'Todo text is blank.' }
+  if (text.length > 280) return { error: 'Todo text is longer than 280 characters.' }
+
+  const value = { todo: text, completed: toBoolean(raw.completed !== undefined ? raw.completed : raw.done) }
+
+  const due = raw.dueDate || raw.due
+  if (due) {
+    if (!validator.isISO8601(String(due))) return { error: `"${due}" is not a valid due date.` }
+    value.dueDate = new Date(String(due).slice(0, 10))
+  }
+
+  if (raw.priority) {
+    const priority = Todo.PRIORITIES.indexOf(String(raw.priority).trim().toLowerCase())
+    if (priority === -1) return { error: `Priority must be one of: ${Todo.PRIORITIES.join(', ')}.` }
+    value.priority = priority
+  }
+
+  if (raw.tags) {
+    // An array of strings, or one comma separated string - nothing else is a tag
+    const isList = typeof raw.tags === 'string' || (Array.isArray(raw.tags) && raw.tags.every(tag => typeof tag === 'string'))
+    if (!isList) return { error: 'Tags must be a list of words or a comma separated string.' }
+    const tags = (Array.isArray(raw.tags) ? raw.tags : raw.tags.split(','))
+      .map(tag => tag.trim().toLowerCase())
+      .filter((tag, i, all) => tag && all.indexOf(tag) === i)
+    if (tags.length > Todo.MAX_TAGS || tags.some(tag => tag.length > 30)) return { error: `At most ${Todo.MAX_TAGS} tags of up to 30 characters.` }
+    value.tags = tags
+  }
+
+  if (raw.notes) {
+    value.notes = String(raw.notes).trim()
+    if (value.notes.length > 2000) return { error: 'Notes are longer than 2000 characters.' }
+  }
+
+  const subtasks = (Array.isArray(raw.subtasks) ? raw.subtasks : [])
+    .map(s => ({ text: String((s && (s.text || s.title)) || '').trim(), completed: toBoolean(s && s.completed) }))
+    .filter(s => s.text)
+  if (subtasks.length > Todo.MAX_SUBTASKS || subtasks.some(s => s.text.length > 280)) {
+    return { error: `At most ${Todo.MAX_SUBTASKS} subtasks of up to 280 characters.` }
+  }
+  value.subtasks = subtasks
+
+  // Repeat rules only come from our own JSON export
+  if (raw.recurrence) {
+    const { errors, value: recurrence } = parseRecurrence(raw.recurrence, { dueDate: value.dueDate })
+    if (errors.length) return { error: errors[0].msg }
+    value.recurrence = recurrence
+  }
+
+  return { value }
+}
+
+// Parse an uploaded file. `format` is a key of FORMATS, or 'auto' to guess
+// from the file name and contents
+// Returns { format, items, errors }: items are model values, errors are
+// { item, msg } for entries that were skipped (item counts from 1)
+// Throws when the file can't be read as the format at all
+const parseImport = (text, { format = 'auto', fileName } = {}) => {
+  const detected = format === 'auto' ? detectFormat(text, fileName) : format
+  let raw
+  try {
+    if (detected === 'json') raw = fromJson(text)
+    else if (detected === 'csv') raw = fromCsv(text)
+    else raw = fromMarkdown(text)
+  } catch (err) {
+    throw new Error(detected === 'json' ? 'The file is not valid JSON.' : err.message)
+  }
+  if (raw.length > MAX_IMPORT_ITEMS) throw new Error(`A file can hold at most ${MAX_IMPORT_ITEMS} todos.`)
+
+  const items = []
+  const errors = []
+  raw.forEach((entry, i) => {
+    const { value, error } = normalize(entry)
+    if (error) errors.push({ item: i + 1, msg: error })
+    else items.push(value)
+  })
+  return { format: detected, items, errors }
+}
+
+// Key used to spot a todo that is already in the list (same text, ignoring case and spacing)
+const duplicateKey = (text) => text.trim().replace(/\s+/g, ' ').toLowerCase()
+
+module.exports = { FORMATS, MAX_IMPORT_ITEMS, serialize, parseImport, duplicateKey }
@@ -0,0 +1,70 @@
+// TIME-BASED ONE-TIME PASSWORDS (RFC 6238)
+// ========================================
+// The 6-digit codes shown by Google Authenticator, 1Password, Authy, ...
+// A code is an HMAC-SHA1 of the current 30-second step, keyed by a shared
+// secret that the app receives once, as a base32 string inside an otpauth:// URI
+
+const crypto = require('crypto')
+
+const STEP_SECONDS = 30
+const DIGITS = 6
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+const base32Encode = (buffer) => {
+  let bits = ''
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0')
+  let out = ''
+  for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)]
+  return out
+}
+
+const base32Decode = (text) => {
+  let bits = ''
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32.indexOf(char)
+    if (value === -1) throw new Error('Invalid base32 character')
+    bits += value.toString(2).padStart(5, '0')
+  }
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2))
+  return Buffer.from(bytes)
+}
+
+// 160 random bits, the size RFC 4226 recommends
+const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+// Which 30-second step a time falls in
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS)
+
+// The code for one step (HOTP with dynamic truncation)
+const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const number = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS
+  return String(number).padStart(DIGITS, '0')
+}
+
+// Check a code against the current step and `window` steps either side (clock drift)
+// Steps up to `afterStep` are refused so a code can't be replayed
+// Returns the matching step, or null
+const verify = (secret, code, { window = 1, afterStep = -1 } = {}) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null
+  const now = stepAt()
+  for (let step = now - window; step <= now + window; step++) {
+    if (step <= afterStep) continue
+    const expected = codeAt(secret, step)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step
+  }
+  return null
+}
+
+// The URI authenticator apps import (usually scanned from a QR code)
+const otpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS })
+  return `otpauth://totp/${label}?${params}`
+}
+
+module.exports = { generateSecret, codeAt, stepAt, verify, otpauthUri }
@@ -0,0 +1,38 @@
+// TRASH RETENTION
+// ===============
+// Trashed todos are deleted for good TRASH_RETENTION_DAYS after they were
+// trashed (30 by default). The server checks once an hour
+// Like the throttle counters, the timer lives in this process - with several
+// processes each one purges, which is harmless
+
+const Todo = require('../models/Todo')
+const log = require('../config/logger')
+
+const DEFAULT_RETENTION_DAYS = 30
+const PURGE_INTERVAL_MS = 60 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Whole days from TRASH_RETENTION_DAYS, or the default when unset or invalid
+const retentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS)
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS
+}
+
+// When a todo trashed at `deletedAt` will be purged
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + retentionDays() * DAY_MS)
+
+// Delete everything that has been in the trash longer than the retention period
+const purgeExpired = async () => {
+  const deleted = await Todo.purgeTrash(new Date(Date.now() - retentionDays() * DAY_MS))
+  if (deleted) log.info('Trash purged', { deleted, retentionDays: retentionDays() })
+  return deleted
+}
+
+// Purge now and then every hour; failures are logged and retried next time
+const startPurging = () => {
+  const run = () => purgeExpired().catch(err => log.error('Trash purge failed', { err }))
+  run()
+  setInterval(run, PURGE_INTERVAL_MS).unref()
+}
+
+module.exports = { retentionDays, purgeDate, purgeExpired, startPurging }